@@ -2,6 +2,9 @@
 
 const { Command } = require('commander');
 const capture = require('./index');
+const { createBrowserPool } = require('./lib/browser-pool');
+const { loadDataRows, formatOutputName } = require('./lib/template-data');
+const { OUTPUT_FORMATS, resolveOutputFormat } = require('./lib/output-formats');
 const package = require('./package.json');
 const path = require('path');
 const fs = require('fs');
@@ -14,26 +17,138 @@ async function processSingleFile(input, output, options) {
     url: input,
     output,
     duration: options.duration,
+    maxDuration: options.maxDuration,
+    trimStillEnd: options.trimStillEnd,
+    pageErrors: options.pageErrors,
+    vfr: options.vfr,
     fps: options.fps,
     width: options.width,
     height: options.height,
+    variants: options.sizes,
+    variantConcurrency: options.variantConcurrency,
     selector: options.selector,
     quality: options.quality,
+    bitrate: options.bitrate,
+    maxBitrate: options.maxBitrate,
+    bufferSize: options.bufferSize,
+    targetSize: options.targetSize,
+    format: options.format,
+    liveSegmentDuration: options.liveSegment,
+    layers: options.layer.length > 0 ? options.layer.map(value => {
+      const [name, ...selector] = value.split('=');
+      return { name, selector: selector.join('='), isolate: options.isolateLayers };
+    }) : undefined,
     enableRecordingControl: options.enableRecordingControl,
     waitForStartSignal: options.waitForStartSignal,
+    readiness: {
+      networkIdle: options.waitForNetworkIdle,
+      fonts: options.waitForFonts,
+      images: options.waitForImages,
+      selector: options.waitForSelector,
+      readyPromise: options.waitForReadyPromise,
+      expression: options.waitForExpression,
+      timeout: options.readyTimeout
+    },
     generateMetadata: options.metadata !== false,
     webhookUrl: options.webhookUrl,
     verbose: options.verbose,
-    quiet: options.quiet
+    quiet: options.quiet,
+    segments: options.segments,
+    startFrame: options.startFrame,
+    endFrame: options.endFrame,
+    startTime: options.startTime,
+    checkpoint: options.checkpoint,
+    checkpointInterval: options.checkpointInterval,
+    resume: options.resume,
+    workDir: options.workDir,
+    frameTransport: options.frameTransport,
+    frameFormat: options.frameFormat,
+    frameQuality: options.frameQuality,
+    data: options.data,
+    seed: options.seed,
+    mediaSync: options.mediaSync,
+    supersample: options.supersample,
+    background: options.background,
+    motionBlur: options.motionBlur ? {
+      samples: options.motionBlur,
+      shutterAngle: options.shutterAngle
+    } : undefined,
+    clockStart: options.clockStart,
+    audio: options.audio ? {
+      path: options.audio,
+      offset: options.audioOffset,
+      trimStart: options.audioTrimStart,
+      trimEnd: options.audioTrimEnd,
+      fadeIn: options.audioFadeIn,
+      fadeOut: options.audioFadeOut,
+      volume: options.audioVolume
+    } : undefined,
+    capturePageAudio: options.capturePageAudio,
+    signal: options.signal,
+    timeout: options.timeout,
+    frameTimeout: options.frameTimeout,
+    keepPartial: options.keepPartial,
+    poster: options.posterFrame !== undefined ? { frame: options.posterFrame } : options.poster,
+    sprite: options.sprite ? {
+      interval: options.sprite === true ? undefined : options.sprite,
+      width: options.spriteWidth,
+      columns: options.spriteColumns
+    } : undefined,
+    pool: options.pool
   };
   
   await capture(captureOptions);
 }
 
+// Expand input files and data rows into one job per output video
+function buildBatchJobs(files, rows, outputDir, outputName, format) {
+  const jobs = [];
+  const extension = OUTPUT_FORMATS[resolveOutputFormat(format, null)].extension;
+  
+  files.forEach(file => {
+    const basename = path.basename(file, path.extname(file));
+    
+    if (rows.length === 0) {
+      jobs.push({ file, label: file, outputFile: path.join(outputDir, `${basename}${extension}`) });
+      return;
+    }
+    
+    rows.forEach((row, rowIndex) => {
+      const defaultName = rows.length === 1 ? `{basename}${extension}` : `{basename}-{index}${extension}`;
+      let filename = formatOutputName(outputName || defaultName, row, {
+        index: rowIndex + 1,
+        basename
+      });
+      if (!path.extname(filename)) {
+        filename += extension;
+      }
+      
+      jobs.push({
+        file,
+        data: row,
+        label: `${file} (row ${rowIndex + 1})`,
+        outputFile: path.join(outputDir, filename)
+      });
+    });
+  });
+  
+  // Row fields that repeat would silently overwrite each other's output
+  const seen = new Set();
+  jobs.forEach(job => {
+    if (seen.has(job.outputFile)) {
+      throw new Error(`Duplicate output file ${job.outputFile} - include a unique field or {index} in --output-name`);
+    }
+    seen.add(job.outputFile);
+  });
+  
+  return jobs;
+}
+
 // Helper function for batch processing
-async function processBatch(files, options) {
+async function processBatch(files, options, rows = []) {
   const outputDir = options.outputDir || './batch-output';
   const parallel = options.parallel || 2;
+  const jobs = buildBatchJobs(files, rows, outputDir, options.outputName, options.format);
   
   // Generate batch ID for webhook tracking
   const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -43,16 +158,19 @@ async function processBatch(files, options) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
   
-  console.log(`Batch converting ${files.length} files...`);
+  console.log(rows.length > 0 ?
+    `Batch converting ${files.length} files x ${rows.length} data rows (${jobs.length} videos)...` :
+    `Batch converting ${files.length} files...`);
   console.log(`Output directory: ${outputDir}`);
   console.log(`Parallel conversions: ${parallel}`);
-  console.log(`Settings: ${options.fps}fps, ${options.duration}s duration, quality=${options.quality}\n`);
+  console.log(`Settings: ${options.fps}fps, ${options.duration === 'auto' ? 'auto' : `${options.duration}s`} duration, quality=${options.quality}` +
+    (options.sizes ? `, sizes ${options.sizes}` : '') + '\n');
   
   // Send batch started webhook
   if (options.webhookUrl) {
     const { sendWebhook, createWebhookPayload, WEBHOOK_EVENTS } = require('./lib/webhook');
     await sendWebhook(options.webhookUrl, createWebhookPayload(WEBHOOK_EVENTS.BATCH_STARTED, batchId, {
-      totalFiles: files.length,
+      totalFiles: jobs.length,
       outputDirectory: outputDir,
       parallelConversions: parallel,
       settings: {
@@ -65,33 +183,45 @@ async function processBatch(files, options) {
     }));
   }
   
+  // Share warm browsers between jobs instead of launching one per file
+  const pool = createBrowserPool({
+    browsers: 1,
+    pagesPerBrowser: parallel * (options.sizes ? options.variantConcurrency || 1 : 1),
+    beginFrameControl: options.frameTransport === 'beginframe',
+    // Ctrl+C is handled by cancelling the jobs
+    launchOptions: { handleSIGINT: false }
+  });
+  
   const startTime = Date.now();
   const results = [];
   
-  // Process files with concurrency limit
-  const queue = [...files];
+  // Process jobs with concurrency limit; nothing new starts once cancelled
+  const queue = [...jobs];
   const inProgress = [];
+  const cancelled = () => options.signal && options.signal.aborted;
   
-  while (queue.length > 0 || inProgress.length > 0) {
+  while ((queue.length > 0 && !cancelled()) || inProgress.length > 0) {
     // Start new processes up to the concurrency limit
-    while (inProgress.length < parallel && queue.length > 0) {
-      const file = queue.shift();
-      const basename = path.basename(file, path.extname(file));
-      const outputFile = path.join(outputDir, `${basename}.webm`);
+    while (inProgress.length < parallel && queue.length > 0 && !cancelled()) {
+      const job = queue.shift();
+      const file = job.label;
       
-      const index = files.indexOf(file);
-      console.log(`[${index + 1}/${files.length}] Starting: ${file}`);
+      const index = jobs.indexOf(job);
+      console.log(`[${index + 1}/${jobs.length}] Starting: ${file}`);
       
       const jobId = `${batchId}_job_${index + 1}`;
-      const jobOptions = { ...options, jobId };
+      const jobOptions = { ...options, jobId, pool };
+      if (job.data) {
+        jobOptions.data = job.data;
+      }
       
-      const promise = processSingleFile(file, outputFile, jobOptions)
+      const promise = processSingleFile(job.file, job.outputFile, jobOptions)
         .then(() => {
-          console.log(`[${index + 1}/${files.length}] ✓ Completed: ${file}`);
+          console.log(`[${index + 1}/${jobs.length}] ✓ Completed: ${file}`);
           return { file, success: true, jobId };
         })
         .catch(error => {
-          console.error(`[${index + 1}/${files.length}] ✗ Failed: ${file} - ${error.message}`);
+          console.error(`[${index + 1}/${jobs.length}] ✗ Failed: ${file} - ${error.message}`);
           return { file, success: false, error: error.message, jobId };
         })
         .finally(() => {
@@ -115,11 +245,11 @@ async function processBatch(files, options) {
         const failed = results.filter(r => !r.success).length;
         
         await sendWebhook(options.webhookUrl, createWebhookPayload(WEBHOOK_EVENTS.BATCH_PROGRESS, batchId, {
-          totalFiles: files.length,
+          totalFiles: jobs.length,
           completedFiles: completed,
           successfulFiles: successful,
           failedFiles: failed,
-          progress: Math.round((completed / files.length) * 100),
+          progress: Math.round((completed / jobs.length) * 100),
           currentFile: result.file,
           currentFileSuccess: result.success
         }));
@@ -127,6 +257,12 @@ async function processBatch(files, options) {
     }
   }
   
+  await pool.close();
+  
+  if (cancelled() && queue.length > 0) {
+    console.log(`\nCancelled - ${queue.length} video(s) not started`);
+  }
+  
   // Summary
   const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
   const successful = results.filter(r => r.success).length;
@@ -135,11 +271,11 @@ async function processBatch(files, options) {
   console.log('\n' + '='.repeat(60));
   console.log('BATCH CONVERSION SUMMARY');
   console.log('='.repeat(60));
-  console.log(`Total files: ${files.length}`);
+  console.log(`Total videos: ${jobs.length}`);
   console.log(`Successful: ${successful}`);
   console.log(`Failed: ${failed}`);
   console.log(`Total time: ${totalTime}s`);
-  console.log(`Average time: ${(totalTime / files.length).toFixed(1)}s per video`);
+  console.log(`Average time: ${(totalTime / jobs.length).toFixed(1)}s per video`);
   
   if (failed > 0) {
     console.log('\nFailed conversions:');
@@ -154,11 +290,11 @@ async function processBatch(files, options) {
     const eventType = failed > 0 ? WEBHOOK_EVENTS.BATCH_COMPLETED : WEBHOOK_EVENTS.BATCH_COMPLETED;
     
     await sendWebhook(options.webhookUrl, createWebhookPayload(eventType, batchId, {
-      totalFiles: files.length,
+      totalFiles: jobs.length,
       successfulFiles: successful,
       failedFiles: failed,
       totalTime: parseFloat(totalTime),
-      averageTimePerFile: parseFloat((totalTime / files.length).toFixed(1)),
+      averageTimePerFile: parseFloat((totalTime / jobs.length).toFixed(1)),
       outputDirectory: outputDir,
       failedFiles: failed > 0 ? results.filter(r => !r.success).map(r => ({
         file: r.file,
@@ -173,15 +309,73 @@ program
   .version(package.version)
   .description(package.description)
   .arguments('[inputs...]')
-  .option('-d, --duration <seconds>', 'Duration in seconds', parseFloat, 5)
+  .option('-d, --duration <seconds>', 'Duration in seconds, or auto to detect it from the page', (val) => val === 'auto' ? val : parseFloat(val), 5)
+  .option('--max-duration <seconds>', 'Longest duration -d auto may detect', parseFloat, 60)
+  .option('--trim-still-end', 'Drop trailing frames that no longer change')
+  .option('--vfr', 'Variable frame rate: encode only frames that changed')
   .option('-f, --fps <rate>', 'Frames per second', (val) => parseInt(val, 10), 60)
-  .option('-w, --width <pixels>', 'Video width', parseInt, 1920)
-  .option('-h, --height <pixels>', 'Video height', parseInt, 1080)
+  .option('-w, --width <pixels>', 'Video width', (val) => parseInt(val, 10), 1920)
+  .option('-h, --height <pixels>', 'Video height', (val) => parseInt(val, 10), 1080)
+  .option('--sizes <list>', 'Render one output per viewport size, e.g. 1920x1080,1080x1920 (name=WxH names them)')
+  .option('--variant-concurrency <n>', 'Sizes rendered at once, each on its own page', (val) => parseInt(val, 10), 1)
   .option('-s, --selector <selector>', 'CSS selector for capture area', 'body')
+  .option('--layer <name=selector>', 'Capture this element to its own output, <output>.<name>.<ext> (repeatable)', (val, list) => list.concat(val), [])
+  .option('--isolate-layers', 'Hide everything outside each layer\'s element while it is captured')
   .option('-q, --quality <crf>', 'Video quality (0-51, lower is better)', parseInt, 23)
+  .option('--bitrate <rate>', 'Average video bitrate instead of constant quality, e.g. 2.5M or 800k')
+  .option('--max-bitrate <rate>', 'Cap the video bitrate, with --quality or --bitrate')
+  .option('--buffer-size <size>', 'Rate buffer for --max-bitrate (default: 2 seconds of it)')
+  .option('--target-size <MB>', 'Fit the file in this many MB, encoded in two passes', parseFloat)
+  .option('-o, --output <file>', 'Output file, or - to write the video to stdout')
+  .option('--format <format>', 'Output format: webm, mp4, hevc, prores, gif, apng, webp, png (sequence), hls or dash; inferred from the output extension')
+  .option('--live-segment <seconds>', 'Segment length of hls/dash output, written as frames are captured', parseFloat, 2)
+  .option('--segments <n>', 'Split the video into N segments rendered in parallel', (val) => parseInt(val, 10), 1)
+  .option('--start-frame <n>', 'First frame of the timeline to render', (val) => parseInt(val, 10))
+  .option('--end-frame <n>', 'Stop before this frame (default: end of the duration)', (val) => parseInt(val, 10))
+  .option('--start-time <seconds>', 'Start rendering at this point of the timeline', parseFloat)
+  .option('--checkpoint', 'Keep finished pieces in a work directory so the render can be resumed')
+  .option('--checkpoint-interval <seconds>', 'Seconds of video per checkpoint piece', parseFloat, 10)
+  .option('--resume', 'Continue an interrupted checkpointed render')
+  .option('--work-dir <dir>', 'Checkpoint directory (default: <output>.work)')
+  .option('--frame-transport <method>', 'Frame capture method: screenshot, cdp or beginframe', 'screenshot')
+  .option('--frame-format <format>', 'Frame pipe format: png, jpeg, webp or raw', 'png')
+  .option('--frame-quality <n>', 'Quality for jpeg/webp frames (0-100)', (val) => parseInt(val, 10), 90)
   .option('--enable-recording-control', 'Enable recording control via page signals')
   .option('--wait-for-start-signal', 'Wait for start signal from page before recording')
+  .option('--wait-for-network-idle', 'Wait until the page has no network requests before frame 0')
+  .option('--wait-for-fonts', 'Wait for document.fonts.ready before frame 0')
+  .option('--wait-for-images', 'Wait until every image is decoded before frame 0')
+  .option('--wait-for-selector <selector>', 'Wait until an element matches the selector before frame 0')
+  .option('--wait-for-ready-promise', 'Wait for the window.__html2videoReady promise before frame 0')
+  .option('--wait-for-expression <js>', 'Wait until a JS expression is truthy before frame 0')
+  .option('--ready-timeout <ms>', 'Timeout for each readiness gate', (val) => parseInt(val, 10), 30000)
+  .option('--background <value>', 'transparent, page (keep the page background), a colour, or an image/video file', 'transparent')
+  .option('--supersample <factor>', 'Render at 2x/3x device scale and downscale for smoother edges', parseFloat, 1)
+  .option('--motion-blur <samples>', 'Average this many sub-frames into each frame', (val) => parseInt(val, 10))
+  .option('--shutter-angle <degrees>', 'Part of the frame interval the motion blur shutter is open (1-360)', parseFloat, 180)
+  .option('--media-sync <adapters>', 'Keep media on virtual time: video, lottie, gsap, waapi, all or none', 'video')
+  .option('--timeout <ms>', 'Cancel the render if it takes longer than this', (val) => parseInt(val, 10))
+  .option('--frame-timeout <ms>', 'Cancel the render if capturing or encoding one frame hangs for this long', (val) => parseInt(val, 10), 30000)
+  .option('--keep-partial', 'On cancel or timeout, keep the frames rendered so far as a shorter video')
+  .option('--page-errors <policy>', 'On uncaught page exceptions and failed loads: ignore, warn or fail', 'warn')
+  .option('--seed <value>', 'Seed Math.random and crypto.getRandomValues for repeatable renders')
+  .option('--clock-start <date>', 'Start the page clock at this ISO date or epoch ms instead of now')
   .option('--no-metadata', 'Disable metadata JSON generation')
+  .option('--poster <seconds>', 'Save a poster image of the frame at this time', parseFloat)
+  .option('--poster-frame <n>', 'Save a poster image of this output frame', (val) => parseInt(val, 10))
+  .option('--sprite [interval]', 'Save a thumbnail sprite sheet and WebVTT track, one thumbnail every interval seconds (default 1)', parseFloat)
+  .option('--sprite-width <pixels>', 'Sprite sheet thumbnail width', (val) => parseInt(val, 10), 160)
+  .option('--sprite-columns <n>', 'Thumbnails per sprite sheet row', (val) => parseInt(val, 10), 10)
+  .option('--data <json|file>', 'Template data as inline JSON or a .json/.csv file (one video per row)')
+  .option('--output-name <template>', 'Batch output filename built from row fields, e.g. "{name}-{id}.webm"')
+  .option('--audio <file>', 'Soundtrack file to mix into the video')
+  .option('--audio-offset <seconds>', 'Start the soundtrack this far into the video', parseFloat)
+  .option('--audio-trim-start <seconds>', 'Skip this much of the start of the soundtrack', parseFloat)
+  .option('--audio-trim-end <seconds>', 'Stop the soundtrack at this point in the file', parseFloat)
+  .option('--audio-fade-in <seconds>', 'Fade the soundtrack in', parseFloat)
+  .option('--audio-fade-out <seconds>', 'Fade the soundtrack out', parseFloat)
+  .option('--audio-volume <factor>', 'Soundtrack volume (1 = unchanged)', parseFloat)
+  .option('--capture-page-audio', 'Record <audio>/<video> and WebAudio playback from the page')
   .option('--batch', 'Enable batch mode for multiple files')
   .option('--output-dir <dir>', 'Output directory for batch mode', './batch-output')
   .option('--parallel <n>', 'Number of parallel conversions in batch mode', parseInt, 2)
@@ -189,6 +383,16 @@ program
   .option('--verbose', 'Show FFmpeg output')
   .option('--quiet', 'Suppress all output')
   .action(async (inputs, options) => {
+    // Ctrl+C cancels the render so Chromium and FFmpeg are shut down and
+    // partial output cleaned up; a second Ctrl+C exits straight away
+    const abortController = new AbortController();
+    process.once('SIGINT', () => {
+      console.error('\nCancelling...');
+      abortController.abort();
+      process.once('SIGINT', () => process.exit(130));
+    });
+    options.signal = abortController.signal;
+
     try {
       // Handle different input scenarios
       let files = [];
@@ -200,6 +404,21 @@ program
         process.exit(1);
       }
       
+      // -o names the output of a single file, - being stdout
+      if (options.output && inputs.length === 1) {
+        inputs = [inputs[0], options.output];
+      }
+
+      // Several data rows always render as a batch, one video per row
+      const rows = options.data ? loadDataRows(options.data) : [];
+      if (rows.length > 1 && inputs.length === 2 && !inputs[1].endsWith('.html')) {
+        console.error('Error: Data source has multiple rows - use --output-dir and --output-name instead of an output file');
+        process.exit(1);
+      }
+      if (rows.length > 1) {
+        options.batch = true;
+      }
+      
       // Determine if this is single file or batch mode
       if (inputs.length === 2 && !options.batch && !inputs[1].endsWith('.html')) {
         // Traditional single file mode: input.html output.webm
@@ -218,15 +437,84 @@ program
       
       // Process based on mode
       if (options.batch) {
-        await processBatch(files, options);
+        await processBatch(files, options, rows);
       } else {
         // Single file mode
         await processSingleFile(files[0], outputFile, options);
       }
       
+      if (abortController.signal.aborted) {
+        process.exit(130);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(error.reason === 'cancelled' ? 130 : 1);
+    }
+  });
+
+// Images of chosen moments, without encoding a video. The page options
+// (-w, -h, -s, --background, --seed, --data, the readiness gates...) are shared
+// with the video command.
+program
+  .command('still <input> [output]')
+  .description('Save images of the page at chosen times, e.g. still page.html --at 0,1.5,3s')
+  .requiredOption('--at <times>', 'Comma-separated times in seconds, or with s/ms units')
+  .option('--contact-sheet [file]', 'Also lay the stills out on one image (default: <output>-contact-sheet.<ext>)')
+  .option('--contact-columns <n>', 'Stills per contact sheet row', (val) => parseInt(val, 10), 4)
+  .option('--contact-width <pixels>', 'Width of each still on the contact sheet', (val) => parseInt(val, 10), 320)
+  .action(async (input, output, stillOptions, command) => {
+    const options = command.optsWithGlobals();
+    const abortController = new AbortController();
+    process.once('SIGINT', () => {
+      console.error('\nCancelling...');
+      abortController.abort();
+      process.once('SIGINT', () => process.exit(130));
+    });
+
+    try {
+      await capture.stills({
+        url: input,
+        output: output || options.output || `${path.basename(input, path.extname(input))}.png`,
+        at: options.at,
+        format: options.format,
+        width: options.width,
+        height: options.height,
+        selector: options.selector,
+        readiness: {
+          networkIdle: options.waitForNetworkIdle,
+          fonts: options.waitForFonts,
+          images: options.waitForImages,
+          selector: options.waitForSelector,
+          readyPromise: options.waitForReadyPromise,
+          expression: options.waitForExpression,
+          timeout: options.readyTimeout
+        },
+        frameTransport: options.frameTransport,
+        frameQuality: options.frameQuality,
+        data: options.data,
+        seed: options.seed,
+        clockStart: options.clockStart,
+        mediaSync: options.mediaSync,
+        supersample: options.supersample,
+        background: options.background,
+        pageErrors: options.pageErrors,
+        contactSheet: options.contactSheet ? {
+          path: options.contactSheet === true ? undefined : options.contactSheet,
+          columns: options.contactColumns,
+          width: options.contactWidth
+        } : undefined,
+        signal: abortController.signal,
+        timeout: options.timeout,
+        frameTimeout: options.frameTimeout,
+        quiet: options.quiet
+      });
+
+      if (abortController.signal.aborted) {
+        process.exit(130);
+      }
     } catch (error) {
       console.error('Error:', error.message);
-      process.exit(1);
+      process.exit(error.reason === 'cancelled' ? 130 : 1);
     }
   });
 
@@ -236,10 +524,63 @@ Examples:
   # Single file conversion
   $ fast-html2video animation.html output.webm -d 10 --fps 30
   
+  # Add a soundtrack that fades out at the end
+  $ fast-html2video animation.html output.webm -d 10 --audio music.mp3 --audio-fade-out 2
+  
+  # Render a long video on 4 pages in parallel
+  $ fast-html2video animation.html output.webm -d 60 --segments 4
+  
+  # Let the page's animations decide how long the video is
+  $ fast-html2video animation.html output.webm -d auto --trim-still-end
+  
+  # Wait for web fonts and the chart data before the first frame
+  $ fast-html2video chart.html output.webm --wait-for-fonts --wait-for-selector "#chart svg"
+  
+  # Keep the page's own background, or put the animation on a colour or video
+  $ fast-html2video slide.html output.mp4 --background page
+  $ fast-html2video overlay.html output.mp4 --background "#1e1e2e"
+  $ fast-html2video overlay.html output.mp4 --background footage.mp4
+  
+  # Motion blur from 8 sub-frames per frame
+  $ fast-html2video kinetic.html output.webm --fps 30 --motion-blur 8 --shutter-angle 180
+  
+  # Checkpoint a long render and pick it up again after a crash
+  $ fast-html2video animation.html output.webm -d 600 --checkpoint
+  $ fast-html2video animation.html output.webm -d 600 --resume
+  
+  # Re-render seconds 20-25 only
+  $ fast-html2video animation.html section.webm --start-time 20 -d 25
+  
+  # Encode straight to MP4, ProRes 4444 or a GIF
+  $ fast-html2video animation.html output.mp4 -d 5
+  $ fast-html2video animation.html output.mov -d 5 --format prores
+  $ fast-html2video animation.html output.gif -d 3 --fps 15
+  
+  # 16:9, 9:16, 1:1 and 4:5 cuts of one template, two at a time
+  $ fast-html2video promo.html promo.mp4 -d 15 --sizes 1920x1080,1080x1920,1080x1080,1080x1350 --variant-concurrency 2
+  
+  # Lower third, logo bug and background as separate videos for compositing
+  $ fast-html2video scene.html scene.mov -d 10 --layer lower-third=.lower-third --layer logo=#logo --layer bg=.background --isolate-layers
+  
+  # Fit an ad platform's 4MB limit, or cap the bitrate at 5 Mbps
+  $ fast-html2video banner.html banner.mp4 -d 15 --target-size 4
+  $ fast-html2video banner.html banner.mp4 -d 15 --max-bitrate 5M
+  
+  # Stream fragmented MP4 to another program, or write a live HLS playlist
+  $ fast-html2video animation.html -o - --format mp4 -d 10 | ffplay -
+  $ fast-html2video animation.html live/stream.m3u8 -d 60 --live-segment 4
+  
+  # Storyboard stills at chosen times, with a contact sheet of them
+  $ fast-html2video still animation.html shots/frame.png --at 0,1.5,3s,4500ms --contact-sheet
+  $ fast-html2video still animation.html thumb-{index}.jpg --at 2 -w 1280 -h 720 --background page
+  
   # Batch conversion
   $ fast-html2video --batch --output-dir ./videos *.html
   $ fast-html2video --batch --parallel 4 file1.html file2.html file3.html
   
+  # One personalised video per CSV row
+  $ fast-html2video template.html --data people.csv --output-name "{name}-{id}.webm" --output-dir ./videos
+  
   # Batch with options
   $ fast-html2video --batch --output-dir ./output --fps 60 -d 30 animations/*.html
 `);
@@ -3,201 +3,935 @@
  * Based on timecut's architecture with performance optimizations
  */
 
-const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
-const { spawn } = require('child_process');
+const os = require('os');
+const { EventEmitter } = require('events');
 const cliProgress = require('cli-progress');
-const { overwriteTime, goToTimeAndAnimateForCapture } = require('./lib/virtual-time');
+const { goToTimeAndAnimateForCapture, resolveClockStart } = require('./lib/virtual-time');
+const { createBrowserPool } = require('./lib/browser-pool');
 const { sendWebhook, createWebhookPayload, WEBHOOK_EVENTS } = require('./lib/webhook');
-const { getOptimizedFFmpegArgs, detectHardwareCapabilities, getOptimizedGenerationArgs } = require('./lib/gpu-acceleration');
+const { getOptimizedGenerationArgs, getConcatArgs } = require('./lib/gpu-acceleration');
+const {
+  OUTPUT_FORMATS,
+  DEFAULT_LIVE_SEGMENT_DURATION,
+  resolveOutputFormat,
+  getOutputFiles
+} = require('./lib/output-formats');
+const { spawnEncoder, writeFrame, runFFmpeg } = require('./lib/ffmpeg');
+const { splitFrameRanges } = require('./lib/segments');
+const { createFrameTransport } = require('./lib/frame-transport');
+const { exposePageContext, loadDataRows } = require('./lib/template-data');
+const { openCheckpoint, splitIntoChunks } = require('./lib/checkpoint');
+const { resolveReadinessGates, waitForReadiness } = require('./lib/readiness');
+const { resolveMediaAdapters, injectMediaSync } = require('./lib/media-sync');
+const { resolveMotionBlur, getSubFrameOffsets, averageFrames } = require('./lib/motion-blur');
+const { resolveBackground, capturesTransparency, isComposited, describeBackground } = require('./lib/background');
+const {
+  createRecordingControl,
+  exposeRecordingControl,
+  getChapterMetadata,
+  getChapterMuxArgs
+} = require('./lib/recording-control');
+const { DEFAULT_MAX_DURATION, detectDuration } = require('./lib/duration');
+const { createPageLog } = require('./lib/page-log');
+const { createVfrFrames } = require('./lib/vfr');
+const { resolvePreviews, createPreviewCollector } = require('./lib/previews');
+const { resolveLayers, checkLayerSelectors, getLayerArea, clearLayerStyle } = require('./lib/layers');
+const { resolveVariants } = require('./lib/variants');
+const { parseStillTimes, resolveStillFormat, getStillPath, resolveContactSheet, getContactSheetHtml, getContactSheetWidth } = require('./lib/stills');
+const { DEFAULT_FRAME_TIMEOUT, createJobAbort, settleWithin } = require('./lib/cancellation');
+const {
+  normalizeAudioTracks,
+  injectAudioRecorder,
+  collectPageAudio,
+  offsetAudioTracks,
+  getAudioMuxArgs,
+  getAudioCodecForOutput,
+  describeAudioTracks
+} = require('./lib/audio');
+const { resolveRateControl, getTargetSizeBitrate, describeRateControl } = require('./lib/rate-control');
 
 const defaultFPS = 60;
 const defaultDuration = 5;
+// Longest wait to finish encoding partial output, or to shut down a hung page
+const PARTIAL_TIMEOUT = 60000;
+const DISPOSE_TIMEOUT = 5000;
+// FFmpeg output when the video goes to a stream
+const STREAM_OUTPUT = 'pipe:1';
 
-module.exports = async function(config) {
-  let browser = null;
-  let ffmpeg = null;
-  
+/**
+ * Acquire a page from the pool, navigate it to the animation and wait for
+ * the readiness gates
+ * @param {object} options - { log, control, onControlEvent, pageLog, abort }
+ *   control        - recording control state, when enabled
+ *   onControlEvent - called with each marker and chapter the page emits
+ *   pageLog        - job page log to record console output and errors into
+ *   abort          - job abort state; loading gives up and releases the page when it fires
+ * @returns {Promise<object>} Pool lease, with readiness wait times and the page log tracker
+ */
+async function loadPage(pool, config, url, options = {}) {
+  const log = options.log || (() => {});
+  const control = options.control || null;
+  const wait = promise => options.abort ? options.abort.guard(promise) : promise;
+
+  const lease = await pool.acquire({
+    width: config.width,
+    height: config.height,
+    deviceScaleFactor: config.supersample,
+    seed: config.seed,
+    clockStart: config.clockStart
+  });
+
+  try {
+    const page = lease.page;
+    if (options.abort) {
+      options.abort.check();
+    }
+
+    if (control) {
+      await exposeRecordingControl(page, control, { fps: config.fps, log, onEvent: options.onControlEvent });
+
+      log('Recording control enabled');
+    }
+
+    if (options.pageLog) {
+      lease.pageLog = options.pageLog.watch(page);
+    }
+
+    // Template data (and the variant being rendered) is readable on
+    // window.__html2video before page scripts run
+    await exposePageContext(page, Object.assign({ data: config.data || {} },
+      config.variant ? { variant: config.variant } : {}));
+
+    if (config.capturePageAudio) {
+      await injectAudioRecorder(page);
+    }
+
+    if (config.mediaSync.length > 0) {
+      await injectMediaSync(page, config.mediaSync, { timeout: config.mediaSyncTimeout });
+    }
+
+    // Navigate to page
+    log(`Loading ${url}...`);
+    await wait(page.goto(url, { waitUntil: 'domcontentloaded' }));
+
+    // Hold frame 0 until fonts, data and anything else the page needs are in
+    const gates = resolveReadinessGates(config.readiness, control && config.waitForStartSignal ? control : null);
+    lease.readiness = await wait(waitForReadiness(page, gates, { control, log }));
+    if (lease.pageLog) {
+      lease.pageLog.check();
+    }
+
+    return lease;
+  } catch (error) {
+    await lease.release();
+    throw error;
+  }
+}
+
+/**
+ * Make the page background transparent so the alpha channel survives, or
+ * the composited background shows through. The 'page' background is left alone.
+ */
+async function prepareStage(page, config) {
+  if (!capturesTransparency(config.background)) {
+    return;
+  }
+
+  await page.evaluate((selector) => {
+    document.body.style.background = 'transparent';
+    document.documentElement.style.background = 'transparent';
+
+    const stage = document.querySelector(selector);
+    if (stage) {
+      stage.style.background = 'transparent';
+    }
+  }, config.selector || 'body');
+}
+
+/**
+ * Build the FFmpeg encoder settings for a capture
+ * @param {object} input - { width, height } of the piped frames, needed for raw input,
+ *   { list } of a variable frame rate frame list, or { file, pass, passLogFile } for
+ *   one pass of a two-pass encode from the intermediate
+ * @param {number} startNumber - First frame number, for image sequences
+ */
+function getGenerationConfig(output, config, input = {}, startNumber = 0) {
+  return getOptimizedGenerationArgs(
+    output,
+    config.fps,
+    config.width,
+    config.height,
+    config.pixFmt,
+    config.quality,
+    config.accelerationMethod,
+    {
+      input: {
+        format: config.frameFormat,
+        width: input.width,
+        height: input.height,
+        list: input.list,
+        file: input.file
+      },
+      format: config.format,
+      background: config.background,
+      startTime: startNumber / config.fps,
+      // Supersampled frames are scaled back down to CSS pixel size (before the intermediate)
+      filters: config.supersample > 1 && !input.file ?
+        [`scale=iw/${config.supersample}:ih/${config.supersample}:flags=lanczos`] : [],
+      startNumber,
+      stream: output === STREAM_OUTPUT,
+      segmentDuration: config.liveSegmentDuration,
+      rateControl: config.rateControl,
+      pass: input.pass ? { number: input.pass, logFile: input.passLogFile } : null
+    }
+  );
+}
+
+/**
+ * Capture frames [startFrame, endFrame) from a loaded page into one encoded file,
+ * or one file per layer. Frames identical to the one before are counted as
+ * duplicates; with config.vfr they're left out and the frame before is shown for longer.
+ * @param {object} page - Puppeteer page with virtual time injected
+ * @param {object} options - { config, output, layers, startFrame, endFrame, shouldStop, onFrame, control, trimStillEnd,
+ *   pageLog, abort, keepPartial, outputStream, log }
+ *   layers       - from resolveLayers; each is captured to its own output at every frame
+ *                  instead of config.selector to output
+ *   control      - recording control state; paused frames advance the timeline without
+ *                  being captured, and its endFrame replaces endFrame
+ *   trimStillEnd - leave out trailing frames identical to the one before them (in every layer)
+ *   pageLog      - page log tracker of this page, kept at the frame time
+ *   onFrame      - called with (frameNum, frame) after each captured frame, of the first layer
+ *   abort        - job abort state; each frame's capture and write is bounded by config.frameTimeout
+ *   keepPartial  - when aborted, finish encoding the frames so far instead of discarding
+ *                  them; error.partialFrames is set when that worked
+ *   outputStream - { stream, bytes } when output is STREAM_OUTPUT; FFmpeg's output is
+ *                  piped into stream, and bytes counts what was written
+ * @returns {Promise<object>} { framesCaptured, framesTrimmed, framesDuplicated, framesEncoded, transport, layers }
+ *   with transport capture stats; the counts are the first layer's, and layers has
+ *   { name, output, framesDuplicated, framesEncoded, transport } of each layer
+ */
+async function captureFrames(page, options) {
+  const { config, output, startFrame, endFrame, shouldStop, onFrame, control, trimStillEnd, pageLog, abort } = options;
+  const frameDuration = 1000 / config.fps;
+  const subFrameOffsets = config.motionBlur ? getSubFrameOffsets(config.motionBlur, frameDuration) : [0];
+  const layers = options.layers || [{ name: null, selector: config.selector || 'body', css: null, output }];
+  const layerStyles = layers.some(layer => layer.css);
+
+  // Waits on the page and FFmpeg give up when the job is aborted, or abort it
+  // when a frame takes too long
+  const guard = (promise, frameNum) => abort ?
+    abort.guard(promise, frameNum !== undefined ? config.frameTimeout : 0, `Frame ${frameNum}`) : promise;
+
+  // Encoding state of each layer
+  const outputs = [];
+  const disposeTransports = () => Promise.all(outputs.map(state => state.transport.dispose()));
+  try {
+    for (const layer of layers) {
+      outputs.push({
+        layer,
+        transport: await guard(createFrameTransport(page, {
+          method: config.frameTransport,
+          format: config.frameFormat,
+          quality: config.frameQuality,
+          scale: config.supersample,
+          transparent: capturesTransparency(config.background),
+          log: options.log
+        })),
+        // Started on the first frame, once raw frame dimensions are known
+        encoder: null,
+        vfr: null,
+        framesDuplicated: 0,
+        previousFrame: null,
+        // Repeats of the last written frame are held back until a different frame
+        // arrives, so repeats at the very end are never written
+        lastWritten: null,
+        repeatsHeld: 0
+      });
+    }
+  } catch (error) {
+    await settleWithin(disposeTransports(), DISPOSE_TIMEOUT);
+    throw error;
+  }
+  // With vfr, changed frames are collected and encoded once capture is done
+  if (config.vfr) {
+    outputs.forEach(state => {
+      state.vfr = createVfrFrames(`${state.layer.output}.frames-${startFrame}`, config.fps, config.frameFormat);
+    });
+  }
+
+  // Capture every layer at one point of the timeline
+  const captureAt = async (timestamp) => {
+    // Go to specific time
+    if (pageLog) {
+      pageLog.setTime(timestamp);
+    }
+    await goToTimeAndAnimateForCapture(page, timestamp);
+
+    // The page may have paused during the step
+    if (control && control.paused) {
+      return null;
+    }
+
+    // Minimal delay for render
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const frames = [];
+    for (const state of outputs) {
+      // Get capture area, with the layer's CSS switched on
+      const captureArea = await getLayerArea(page, state.layer);
+      frames.push(await state.transport.capture(captureArea));
+    }
+    if (layerStyles) {
+      await clearLayerStyle(page);
+    }
+    return frames;
+  };
+
+  // Average the motion blur samples of one layer
+  const blendSamples = (state, samples) => {
+    // Samples that all match each other and the frame before average to the same frame
+    const { previousFrame } = state;
+    const still = samples.every((sample, index) => index === 0 || sample.duplicate);
+    if (previousFrame && previousFrame.still && still && samples[0].duplicate) {
+      return Object.assign({}, previousFrame, { duplicate: true });
+    }
+    const buffer = averageFrames(samples.map(sample => sample.buffer));
+    return Object.assign({}, samples[0], {
+      buffer,
+      image: null,
+      duplicate: !!previousFrame && buffer.equals(previousFrame.buffer),
+      still
+    });
+  };
+
+  let framesCaptured = 0;
+  // Output index of the last frame that changed in any layer
+  let lastChange = 0;
+
+  try {
+    for (let frameNum = startFrame; frameNum < (control ? control.endFrame : endFrame); frameNum++) {
+      if (shouldStop && shouldStop()) {
+        break;
+      }
+
+      const timestamp = frameNum * frameDuration;
+      if (control) {
+        control.timelineFrame = frameNum;
+      }
+
+      let frames;
+      if (subFrameOffsets.length > 1) {
+        // Sub-frames stay inside this frame's interval, so time only moves forward
+        const samples = [];
+        for (const offset of subFrameOffsets) {
+          const sample = await guard(captureAt(timestamp + offset), frameNum);
+          if (!sample) {
+            break;
+          }
+          samples.push(sample);
+        }
+
+        frames = samples.length < subFrameOffsets.length ? null :
+          outputs.map((state, index) => blendSamples(state, samples.map(sample => sample[index])));
+      } else {
+        frames = await guard(captureAt(timestamp), frameNum);
+      }
+
+      // Errors raised while the page moved to this frame stop it being encoded
+      if (pageLog) {
+        pageLog.check();
+      }
+
+      if (!frames) {
+        control.pausedFrames++;
+        continue;
+      }
+
+      for (let index = 0; index < outputs.length; index++) {
+        const state = outputs[index];
+        const frame = frames[index];
+
+        if (frame.duplicate) {
+          state.framesDuplicated++;
+        } else {
+          lastChange = framesCaptured;
+        }
+        state.previousFrame = frame;
+
+        if (state.vfr) {
+          if (!frame.duplicate) {
+            state.vfr.add(frame, framesCaptured);
+          }
+          continue;
+        }
+
+        if (!state.encoder) {
+          state.encoder = spawnEncoder(getGenerationConfig(state.layer.output, config, frame, startFrame).args,
+            { verbose: config.verbose });
+          if (options.outputStream) {
+            pipeToOutput(state.encoder.process, options.outputStream);
+          }
+        }
+
+        // Write to FFmpeg
+        if (trimStillEnd && state.lastWritten && frame.duplicate) {
+          state.repeatsHeld++;
+        } else {
+          for (; state.repeatsHeld > 0; state.repeatsHeld--) {
+            await guard(writeFrame(state.encoder, state.lastWritten), frameNum);
+          }
+          await guard(writeFrame(state.encoder, frame.buffer), frameNum);
+          state.lastWritten = trimStillEnd ? frame.buffer : null;
+        }
+      }
+      framesCaptured++;
+      if (control) {
+        control.outputFrame++;
+      }
+
+      if (onFrame) {
+        await onFrame(frameNum, frames[0]);
+      }
+    }
+  } catch (error) {
+    // An aborted render can keep the frames encoded so far
+    const finishPartial = options.keepPartial && abort && abort.aborted && framesCaptured > 0;
+    let finished = outputs.length > 0;
+    for (const { layer, encoder, vfr } of outputs) {
+      let layerFinished = false;
+      if (encoder) {
+        if (finishPartial) {
+          encoder.process.stdin.end();
+          layerFinished = await settleWithin(encoder.done, PARTIAL_TIMEOUT);
+        }
+        if (!layerFinished) {
+          encoder.process.kill('SIGKILL');
+        }
+      }
+      if (vfr) {
+        if (finishPartial) {
+          const stop = new AbortController();
+          const list = vfr.writeList(framesCaptured);
+          layerFinished = await settleWithin(runFFmpeg(getGenerationConfig(layer.output, config, { list }).args,
+            { verbose: config.verbose, signal: stop.signal }), PARTIAL_TIMEOUT);
+          stop.abort();
+        }
+        vfr.remove();
+      }
+      finished = finished && layerFinished;
+    }
+    if (finished) {
+      error.partialFrames = framesCaptured;
+    }
+    // A hung page may never answer
+    await settleWithin(disposeTransports(), DISPOSE_TIMEOUT);
+    throw error;
+  }
+
+  await disposeTransports();
+
+  if (framesCaptured === 0) {
+    outputs.forEach(state => state.vfr && state.vfr.remove());
+    throw new Error('No frames were captured');
+  }
+
+  // Layers are trimmed together, so they all keep the same length
+  const framesTrimmed = trimStillEnd ? framesCaptured - 1 - lastChange : 0;
   try {
+    for (const state of outputs) {
+      if (state.vfr) {
+        // The last changed frame is held to the end, or for one frame when trimming
+        const list = state.vfr.writeList(framesCaptured - framesTrimmed);
+        await runFFmpeg(getGenerationConfig(state.layer.output, config, { list }).args,
+          { verbose: config.verbose, signal: abort ? abort.signal : undefined });
+        state.vfr.remove();
+        continue;
+      }
+
+      // Held repeats that another layer changed during are part of the video
+      for (; state.repeatsHeld > framesTrimmed; state.repeatsHeld--) {
+        await guard(writeFrame(state.encoder, state.lastWritten));
+      }
+      state.encoder.process.stdin.end();
+      await guard(state.encoder.done);
+    }
+  } catch (error) {
+    outputs.forEach(({ encoder, vfr }) => {
+      if (encoder) {
+        encoder.process.kill('SIGKILL');
+      }
+      if (vfr) {
+        vfr.remove();
+      }
+    });
+    throw error;
+  }
+
+  const results = outputs.map(state => ({
+    name: state.layer.name,
+    output: state.layer.output,
+    framesDuplicated: state.framesDuplicated,
+    framesEncoded: state.vfr ? state.vfr.count : framesCaptured - framesTrimmed,
+    transport: state.transport.stats()
+  }));
+
+  return {
+    framesCaptured,
+    framesTrimmed,
+    framesDuplicated: results[0].framesDuplicated,
+    framesEncoded: results[0].framesEncoded,
+    transport: results[0].transport,
+    layers: options.layers ? results : undefined
+  };
+}
+
+/**
+ * Forward FFmpeg's output to the output stream, which is ended by the caller
+ * @param {object} target - { stream, bytes }
+ */
+function pipeToOutput(child, target) {
+  child.stdout.on('data', chunk => {
+    target.bytes += chunk.length;
+  });
+  child.stdout.pipe(target.stream, { end: false });
+}
+
+/**
+ * Load the page once, without capturing, to detect its animation duration
+ * @param {object} abort - Job abort state
+ * @returns {Promise<object>} From detectDuration
+ */
+async function probeDuration(config, url, abort) {
+  const pool = config.pool || createBrowserPool({
+    browsers: 1,
+    pagesPerBrowser: 1,
+    beginFrameControl: config.frameTransport === 'beginframe'
+  });
+
+  try {
+    // The page gets recording control as it will for the capture, so a page
+    // that waits for it loads the same way
+    const control = config.enableRecordingControl ? createRecordingControl(0, null) : null;
+    const lease = await loadPage(pool, config, url, { control, abort });
+    try {
+      return await abort.guard(detectDuration(lease.page, { maxDuration: config.maxDuration }));
+    } finally {
+      await lease.release();
+    }
+  } finally {
+    if (!config.pool) {
+      await pool.close();
+    }
+  }
+}
+
+function createJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Render a page to video
+ * @param {object} config - Capture options, see the defaults below
+ * @param {function} emit - Called with (event, payload) for Renderer events
+ * @returns {Promise<object|null>} The metadata, or null when the page stopped
+ *   recording before it started
+ */
+async function runCapture(config, emit) {
   config = Object.assign({
     fps: defaultFPS,
     duration: defaultDuration,
     width: 1920,
     height: 1080,
-    pixFmt: 'yuva420p', // For transparency
-    codec: 'vp9',
+    pixFmt: null, // Defaults to the output format's pixel format (yuva420p for WebM)
+    format: null, // Inferred from the output extension when not set
     quality: 23,
+    bitrate: null, // Average video bitrate, e.g. '2.5M', instead of constant quality
+    maxBitrate: null, // Peak bitrate cap, with quality or bitrate
+    bufferSize: null, // Rate buffer for maxBitrate, defaults to 2 seconds of it
+    targetSize: null, // File size budget in MB, encoded in two passes
     quiet: false,
     pipeMode: true, // Always use pipe mode for performance
-    output: 'output.webm'
+    segments: 1,
+    segmentIsolation: 'page', // 'page' or 'browser'
+    frameTransport: 'screenshot', // 'screenshot', 'cdp' or 'beginframe'
+    frameFormat: 'png', // 'png', 'jpeg', 'webp' or 'raw'
+    frameQuality: 90, // For jpeg/webp frames
+    seed: null, // Seeds Math.random and crypto.getRandomValues for repeatable renders
+    clockStart: null, // Fixed Date/performance.timeOrigin start (ISO date or epoch ms)
+    mediaSync: null, // Adapters kept on virtual time: 'video' (default), 'lottie', 'gsap', 'waapi'
+    mediaSyncTimeout: 5000, // Longest wait for media to seek before capturing anyway
+    motionBlur: null, // { samples, shutterAngle } sub-frames averaged into each frame
+    supersample: 1, // Render at this device scale factor and downscale for anti-aliasing
+    background: 'transparent', // 'transparent', 'page', a colour, or an image/video file to composite over
+    startFrame: null, // First frame to render, or set startTime in seconds
+    endFrame: null, // Frame after the last one to render, defaults to the end of the duration
+    checkpoint: false, // Keep finished pieces in workDir so an interrupted render can resume
+    checkpointInterval: 10, // Seconds of video per checkpoint piece
+    resume: false, // Continue from the checkpoint in workDir
+    maxDuration: DEFAULT_MAX_DURATION, // Cap in seconds for duration: 'auto'
+    trimStillEnd: false, // Drop trailing frames identical to the one before them
+    pageErrors: 'warn', // Uncaught exceptions and failed loads: 'ignore', 'warn' or 'fail'
+    vfr: false, // Encode only frames that changed, with variable frame timing
+    signal: null, // AbortSignal that cancels the render
+    timeout: null, // Longest the whole render may take, in ms
+    frameTimeout: DEFAULT_FRAME_TIMEOUT, // Longest a frame's capture or write may take, in ms
+    keepPartial: false, // On cancel or timeout, finish encoding the frames so far instead of removing the output
+    poster: null, // Seconds into the video, or { time, frame, path }, to save a poster image
+    sprite: null, // Thumbnail interval in seconds, or { interval, width, columns, path, vtt }
+    liveSegmentDuration: DEFAULT_LIVE_SEGMENT_DURATION, // Seconds per segment of hls/dash output
+    layers: null, // Elements captured to their own outputs: [{ name, selector, css, isolate, output }]
+    variants: null, // Viewport sizes to render, each to its own output: "1920x1080,1080x1920" or [{ name, width, height, output }]
+    variantConcurrency: 1, // Variants rendered at once, each on its own page
+    variant: null, // The variant being rendered, set by runVariants
+    output: 'output.webm' // File path, a writable stream, or '-' for stdout
   }, config || {});
 
-  const fps = config.fps || defaultFPS;
-  const duration = config.duration || defaultDuration;
-  const totalFrames = Math.floor(duration * fps);
-  const frameDuration = 1000 / fps;
-  
+  config.fps = config.fps || defaultFPS;
+  // 0 turns the frame timeout off
+  if (config.frameTimeout === undefined || config.frameTimeout === null) {
+    config.frameTimeout = DEFAULT_FRAME_TIMEOUT;
+  }
+  const fps = config.fps;
+
   const url = config.url.includes('://') ? config.url : 'file://' + path.resolve(process.cwd(), config.url);
-  const output = path.resolve(process.cwd(), config.output);
-  
+  // The video can go to a writable stream, or to stdout with '-'
+  const outputStream = config.output === '-' ? process.stdout :
+    (config.output && typeof config.output.write === 'function' ? config.output : null);
+  const output = outputStream ? STREAM_OUTPUT : path.resolve(process.cwd(), config.output);
+  // How the output is named in logs, metadata and webhooks
+  const outputLabel = outputStream ? (outputStream === process.stdout ? 'stdout' : 'stream') : output;
+  const streamTarget = outputStream ? { stream: outputStream, bytes: 0 } : null;
+
   // Generate unique job ID for webhook tracking
-  const jobId = config.jobId || `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const jobId = config.jobId || createJobId();
 
+  // Video on stdout leaves the log to stderr
   const log = (...args) => {
     if (!config.quiet) {
-      console.log(...args);
+      (outputStream === process.stdout ? console.error : console.log)(...args);
+    }
+  };
+
+  // Template data may also be given as inline JSON or a .json/.csv file
+  if (typeof config.data === 'string') {
+    const rows = loadDataRows(config.data);
+    if (rows.length !== 1) {
+      throw new Error(`Data source has ${rows.length} rows; render one capture per row (CLI batch mode does this)`);
+    }
+    config.data = rows[0];
+  }
+
+  config.format = resolveOutputFormat(config.format, outputStream ? null : config.output);
+  const clockStart = resolveClockStart(config.clockStart);
+  config.mediaSync = resolveMediaAdapters(config.mediaSync);
+  config.motionBlur = resolveMotionBlur(config.motionBlur);
+  config.background = resolveBackground(config.background);
+  config.supersample = Number(config.supersample) || 1;
+  if (config.supersample < 1 || config.supersample > 4) {
+    throw new Error(`Invalid supersample factor ${config.supersample}: use 1 to 4`);
+  }
+  if (config.motionBlur && config.frameFormat !== 'raw') {
+    // Samples are averaged as decoded RGBA, which then goes to FFmpeg as is
+    if (config.frameFormat !== 'png') {
+      log(`Motion blur averages lossless frames - using raw instead of ${config.frameFormat}`);
+    }
+    config.frameFormat = 'raw';
+  }
+  const outputFormat = OUTPUT_FORMATS[config.format];
+  if (config.vfr && outputFormat.sequence) {
+    log('Image sequences have no frame timing - writing every frame');
+    config.vfr = false;
+  }
+  if (outputStream && !outputFormat.stream) {
+    throw new Error(`${outputFormat.name} can't be streamed - use webm, mp4, hevc, prores or gif`);
+  }
+  // Streamed and live output is encoded as the frames arrive
+  if (config.vfr && (outputStream || outputFormat.live)) {
+    log(`Variable frame rate needs every frame before encoding - writing every frame to the ${outputStream ? 'stream' : 'live playlist'}`);
+    config.vfr = false;
+  }
+  config.liveSegmentDuration = Number(config.liveSegmentDuration) || DEFAULT_LIVE_SEGMENT_DURATION;
+
+  // Constant quality, a capped or average bitrate, or a file size budget
+  config.rateControl = resolveRateControl(config, outputFormat);
+  if (config.rateControl.twoPass && (outputStream || outputFormat.live)) {
+    throw new Error(`A target size is encoded in two passes over the finished video - ${outputStream ? 'streamed' : 'live'} output can use bitrate instead`);
+  }
+  if (config.rateControl.twoPass && config.vfr) {
+    log('Two-pass encoding reads back every frame - variable frame rate disabled');
+    config.vfr = false;
+  }
+  if (config.rateControl.twoPass && config.keepPartial) {
+    log('Partial frames of a two-pass encode can\'t be encoded without both passes - they are discarded on cancel');
+    config.keepPartial = false;
+  }
+  if (outputFormat.live) {
+    log(`Live ${outputFormat.name}: segments are added to ${output} as frames are captured`);
+  }
+
+  // Elements captured to their own outputs at every frame, in place of the selector
+  const layers = resolveLayers(config.layers, output, outputFormat.extension);
+  if (layers && outputStream) {
+    throw new Error('Layers are written to separate files - they can\'t be streamed');
+  }
+  // beginFrame only captures the whole viewport
+  if (config.frameTransport === 'beginframe' && (layers || (config.selector && config.selector !== 'body'))) {
+    throw new Error('The beginframe transport captures the full viewport - use screenshot or cdp for a selector or layers');
+  }
+  if (layers && config.rateControl.twoPass) {
+    throw new Error('Layers can\'t be encoded to a target size - give them a bitrate instead');
+  }
+  // Every video the render writes
+  const outputs = layers ? layers.map(layer => layer.output) : [output];
+
+  let checkpointing = !!(config.checkpoint || config.resume);
+  if (checkpointing && config.enableRecordingControl) {
+    log('Recording control needs a single timeline - checkpointing disabled');
+    checkpointing = false;
+  }
+  if (checkpointing && layers) {
+    throw new Error('Layered renders can\'t be checkpointed - render the layers without checkpoint');
+  }
+  if (checkpointing && outputStream) {
+    throw new Error('Streamed output can\'t be checkpointed - write to a file to resume later');
+  }
+  if (checkpointing && !outputFormat.concat && !outputFormat.sequence) {
+    throw new Error(`${outputFormat.name} can't be assembled from checkpoint pieces - use webm, mp4, hevc, prores or png`);
+  }
+  const workDir = checkpointing ? path.resolve(process.cwd(), config.workDir || `${output}.work`) : null;
+
+  // Poster and sprite sheet frames are picked out as they're captured
+  let previews = resolvePreviews(config, outputStream ? null : output);
+  let previewCollector = null;
+
+  // Soundtracks are mixed in after capture, so frames go to an intermediate file first
+  const audioTracks = normalizeAudioTracks(config.audio);
+  const wantsAudio = audioTracks.length > 0 || !!config.capturePageAudio;
+  const videoOutput = wantsAudio ? output.replace(/(\.[^.]+)?$/, '.video$1') : output;
+  // A target size needs the whole video before it's encoded, so frames are
+  // captured losslessly to an intermediate and encoded from it in two passes
+  const intermediate = config.rateControl.twoPass ? output.replace(/(\.[^.]+)?$/, '.intermediate.mkv') : null;
+  const passLogDir = intermediate ? `${output}.passlog` : null;
+  const captureOutput = intermediate || videoOutput;
+  const captureConfig = intermediate ? Object.assign({}, config, { format: 'intermediate' }) : config;
+  // Decoded WebAudio buffers must outlive an interrupted checkpointed render
+  const audioWorkDir = checkpointing ? path.join(workDir, 'audio') : `${output}.audio`;
+  let pageAudioTracks = [];
+
+  if (wantsAudio && !outputFormat.audio) {
+    throw new Error(`${outputFormat.name} output can't carry audio`);
+  }
+  if (wantsAudio && layers) {
+    throw new Error('Layers are video only - add the soundtrack when compositing them');
+  }
+  if (wantsAudio && outputStream) {
+    throw new Error('Audio is mixed in after capture, so it can\'t be added to streamed output');
+  }
+
+  // Console output and errors from every page of the job
+  const pageLog = createPageLog({ policy: config.pageErrors, log });
+
+  // Cancellation, and the overall and per-frame timeouts. Options are checked
+  // above, so a bad one throws before any timer starts or page is loaded.
+  const jobAbort = createJobAbort({ signal: config.signal, timeout: config.timeout });
+
+  // With duration 'auto' the page is loaded once to measure its animations
+  const hasValue = value => value !== null && value !== undefined;
+  const autoDuration = config.duration === 'auto' && !hasValue(config.endFrame) ?
+    await probeDuration(config, url, jobAbort).catch(error => {
+      jobAbort.dispose();
+      throw error;
+    }) : null;
+  if (autoDuration) {
+    log(`Detected duration: ${autoDuration.duration.toFixed(2)}s from ${autoDuration.source}` +
+      (autoDuration.capped ? ` (capped at ${config.maxDuration}s)` : ''));
+  }
+  const duration = autoDuration ? autoDuration.duration :
+    (config.duration === 'auto' ? defaultDuration : config.duration || defaultDuration);
+
+  // Frame range of the timeline to render; frames keep their timeline timestamps
+  const startFrame = hasValue(config.startFrame) ? config.startFrame : Math.round((config.startTime || 0) * fps);
+  // A detected end time is rounded up so the end of the animation isn't cut short
+  const endFrame = hasValue(config.endFrame) ? config.endFrame :
+    (autoDuration ? Math.ceil(duration * fps) : Math.floor(duration * fps));
+  if (!Number.isInteger(startFrame) || !Number.isInteger(endFrame) || startFrame < 0 || endFrame <= startFrame) {
+    jobAbort.dispose();
+    throw new Error(`Invalid frame range ${startFrame}-${endFrame}: endFrame must come after startFrame (duration counts from the start of the timeline)`);
+  }
+  const totalFrames = endFrame - startFrame;
+
+  let segments = Math.max(1, Math.min(parseInt(config.segments, 10) || 1, totalFrames));
+  if (segments > 1 && config.enableRecordingControl) {
+    log('Recording control needs a single timeline - segmented capture disabled');
+    segments = 1;
+  }
+  if (segments > 1 && layers) {
+    log('Layers are captured together from one page - segmented capture disabled');
+    segments = 1;
+  }
+  if (segments > 1 && outputStream) {
+    log('Streamed output comes from a single encoder - segmented capture disabled');
+    segments = 1;
+  }
+  if (segments > 1 && !outputFormat.concat && !outputFormat.sequence) {
+    log(`${outputFormat.name} can't be joined losslessly - segmented capture disabled`);
+    segments = 1;
+  }
+
+  const piecewise = segments > 1 || checkpointing;
+
+  let ownPool = null;
+  let checkpoint = null;
+  const leases = [];
+  const tempPaths = [];
+
+  // Return pages to the pool and shut down a private pool. Browsers whose
+  // pages timed out may be hung, so they're recycled.
+  const releaseBrowsers = async () => {
+    const retire = jobAbort.aborted && jobAbort.error.reason !== 'cancelled';
+    await Promise.all(leases.splice(0).map(lease => lease.release({ retire })));
+    if (ownPool) {
+      await ownPool.close();
+      ownPool = null;
     }
   };
-  
 
+  const removeTemporaryFiles = () => {
+    tempPaths.splice(0).forEach(tempPath => {
+      fs.rmSync(tempPath, { recursive: true, force: true });
+    });
+  };
+
+  // A failing stream (a closed pipe, a dropped connection) ends the render
+  const onStreamError = error => jobAbort.abort(error);
+  if (outputStream) {
+    outputStream.on('error', onStreamError);
+  }
+
+  try {
   // Ensure output directory exists
   const outputDir = path.dirname(output);
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  // Launch browser with optimizations
-  const launchOptions = {
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-background-timer-throttling',
-      '--disable-backgrounding-occluded-windows',
-      '--disable-renderer-backgrounding',
-      '--high-dpi-support=1',
-      '--force-device-scale-factor=1'
-    ]
+  if (checkpointing) {
+    checkpoint = openCheckpoint(workDir, {
+      url,
+      fps,
+      width: config.width,
+      height: config.height,
+      selector: config.selector || 'body',
+      format: config.format,
+      quality: config.quality,
+      pixFmt: config.pixFmt,
+      frameFormat: config.frameFormat,
+      data: config.data || null,
+      seed: config.seed,
+      clockStart,
+      mediaSync: config.mediaSync,
+      motionBlur: config.motionBlur,
+      supersample: config.supersample,
+      background: config.background,
+      startFrame,
+      endFrame,
+      trimStillEnd: config.trimStillEnd,
+      vfr: config.vfr,
+      rateControl: config.rateControl,
+      checkpointInterval: config.checkpointInterval
+    }, {
+      resume: config.resume,
+      sequence: !!outputFormat.sequence,
+      log
+    });
+  }
+
+  // Reuse a shared browser pool when given one, otherwise start a private one
+  if (!config.pool) {
+    const perBrowser = config.segmentIsolation === 'browser';
+    ownPool = createBrowserPool({
+      browsers: perBrowser ? segments : 1,
+      pagesPerBrowser: perBrowser ? 1 : segments,
+      beginFrameControl: config.frameTransport === 'beginframe',
+      // Callers with a signal handle Ctrl+C themselves, so puppeteer mustn't exit first
+      launchOptions: config.signal ? { handleSIGINT: false } : undefined
+    });
+  }
+  const pool = config.pool || ownPool;
+
+  // Recording control state shared with the page
+  const control = createRecordingControl(startFrame, endFrame);
+
+  // Markers and chapters are reported as they're emitted
+  const sendControlEvent = async (type, entry) => {
+    emit('marker', Object.assign({ type }, entry));
+    if (config.webhookUrl) {
+      await sendWebhook(config.webhookUrl, createWebhookPayload(
+        type === 'marker' ? WEBHOOK_EVENTS.JOB_MARKER : WEBHOOK_EVENTS.JOB_CHAPTER, jobId, entry));
+    }
   };
-  
-  // Use Chrome if available on macOS
-  if (process.platform === 'darwin' && fs.existsSync('/Applications/Google Chrome.app')) {
-    launchOptions.executablePath = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
-  }
-  
-  browser = await puppeteer.launch(launchOptions);
-
-  const page = await browser.newPage();
-  
-  // Set viewport
-  await page.setViewport({
-    width: config.width,
-    height: config.height,
-    deviceScaleFactor: 1
-  });
 
-  // Inject virtual time control before navigation
-  await overwriteTime(page);
+  let page = null;
+  let pageTracker = null;
+  let readiness = null;
+  if (!piecewise) {
+    const lease = await loadPage(pool, config, url, {
+      log,
+      control: config.enableRecordingControl ? control : null,
+      onControlEvent: sendControlEvent,
+      pageLog,
+      abort: jobAbort
+    });
+    leases.push(lease);
+    page = lease.page;
+    pageTracker = lease.pageLog;
+    readiness = lease.readiness;
+    log('Page loaded');
+    emit('loaded', { url, readiness });
 
-  // Set up recording control if enabled
-  let recordingStarted = false;
-  let recordingStopped = false;
-  
-  if (config.enableRecordingControl) {
-    await page.exposeFunction('__recordingControl', async (action) => {
-      log(`Recording control: ${action}`);
-      if (action === 'start') {
-        recordingStarted = true;
-        return { status: 'started' };
-      } else if (action === 'stop') {
-        recordingStopped = true;
-        return { status: 'stopped' };
+    // The start signal gate also returns when the page stops recording instead
+    if (config.enableRecordingControl && config.waitForStartSignal) {
+      if (control.stopped) {
+        log('Recording stopped before starting');
+        await releaseBrowsers();
+        return null;
       }
-      return { status: 'unknown' };
-    });
-    
-    log('Recording control enabled');
-  }
-
-  // Navigate to page
-  log(`Loading ${url}...`);
-  await page.goto(url, { waitUntil: 'domcontentloaded' });
-  log('Page loaded');
-  
-  // Wait for start signal if configured
-  if (config.enableRecordingControl && config.waitForStartSignal) {
-    log('Waiting for start signal from page...');
-    while (!recordingStarted && !recordingStopped) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    
-    if (recordingStopped) {
-      log('Recording stopped before starting');
-      return;
-    }
-    
-    log('Start signal received, beginning capture...');
-  }
-  
+
+      log('Start signal received, beginning capture...');
+    }
+  }
+
   // Send job started webhook
   if (config.webhookUrl) {
     await sendWebhook(config.webhookUrl, createWebhookPayload(WEBHOOK_EVENTS.JOB_STARTED, jobId, {
       inputFile: url,
-      outputFile: output,
+      outputFile: outputLabel,
       settings: {
         fps,
         duration,
         width: config.width,
         height: config.height,
-        quality: config.quality
+        quality: config.quality,
+        segments,
+        startFrame,
+        endFrame,
+        checkpoint: checkpointing
       }
     }));
   }
 
-  // Prepare page
-  await page.evaluate((selector) => {
-    document.body.style.background = 'transparent';
-    document.documentElement.style.background = 'transparent';
-    
-    const stage = document.querySelector(selector);
-    if (stage) {
-      stage.style.background = 'transparent';
-    }
-  }, config.selector || 'body');
-
-  // Start FFmpeg process with GPU acceleration
-  const generationConfig = getOptimizedGenerationArgs(
-    output, 
-    fps, 
-    config.width, 
-    config.height, 
-    config.pixFmt, 
-    config.quality, 
-    config.accelerationMethod
-  );
-  const ffmpegArgs = generationConfig.args;
-
-  log(`Using ${generationConfig.profile} for HTML-to-video generation`);
-
-  ffmpeg = spawn('ffmpeg', ffmpegArgs);
-  let ffmpegError = null;
-
-  ffmpeg.stderr.on('data', (data) => {
-    const output = data.toString();
-    if (config.verbose) {
-      process.stderr.write(output);
-    }
-  });
-
-  ffmpeg.on('error', (err) => {
-    ffmpegError = err;
-  });
-
-  const ffmpegPromise = new Promise((resolve, reject) => {
-    ffmpeg.on('close', (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`FFmpeg exited with code ${code}`));
-      }
-    });
-  });
+  log(`Using ${getGenerationConfig(output, config).profile} for HTML-to-video generation`);
+  log(`Frame transport: ${config.frameTransport} (${config.frameFormat})`);
+  if (config.frameFormat === 'jpeg' && capturesTransparency(config.background) &&
+      (isComposited(config.background) || outputFormat.alpha)) {
+    log('Note: JPEG frames have no alpha channel - transparent areas will be black');
+  }
 
   // Create appropriate progress indicator based on recording control
   let progressBar;
-  
+
   if (config.enableRecordingControl) {
     // For recording control, use a spinner with frame count
     progressBar = new cliProgress.SingleBar({
@@ -221,78 +955,79 @@ module.exports = async function(config) {
   // Capture frames
   if (config.enableRecordingControl) {
     log(`Starting capture at ${fps}fps (recording control enabled)...`);
+  } else if (segments > 1) {
+    log(`Capturing ${totalFrames} frames at ${fps}fps in ${segments} parallel segments...`);
+  } else if (startFrame > 0) {
+    log(`Capturing frames ${startFrame}-${endFrame - 1} at ${fps}fps...`);
   } else {
     log(`Capturing ${totalFrames} frames at ${fps}fps...`);
   }
-  
+
   const startTime = Date.now();
-  
+
+  // Frames finished by an earlier, interrupted run
+  const resumedFrames = checkpoint ? checkpoint.completedFrames : 0;
+
+  if (previews && resumedFrames > 0) {
+    log('Poster and sprite sheet need every frame from this run - skipped when resuming');
+    previews = null;
+  }
+  if (previews) {
+    previewCollector = createPreviewCollector(previews, {
+      // Streamed renders have no output path to keep their frames next to
+      dir: `${outputStream ? path.join(os.tmpdir(), `fast-html2video-${jobId}`) : output}.previews`,
+      fps,
+      frameFormat: config.frameFormat
+    });
+  }
+
   if (config.enableRecordingControl) {
     // For recording control, start with indeterminate total
     progressBar.start(9999, 0, {
       fps: '0.0 fps'
     });
   } else {
-    progressBar.start(totalFrames, 0, {
+    progressBar.start(totalFrames, resumedFrames, {
       fps: '0.0 fps'
     });
   }
 
-  let actualFramesCaptured = 0;
-  
-  for (let frameNum = 0; frameNum < totalFrames; frameNum++) {
-    // Check if recording was stopped
-    if (config.enableRecordingControl && recordingStopped) {
-      log('Recording stopped by page signal');
-      break;
+  // Frames captured across all segments
+  let actualFramesCaptured = resumedFrames;
+  // Still frames left off the end with trimStillEnd
+  let trimmedFrames = 0;
+  // Frames identical to the one before, and frames actually encoded
+  let duplicateFrames = 0;
+  let encodedFrames = 0;
+  // Per-layer counts of a layered render
+  let layerResults = null;
+  const countFrames = (result) => {
+    trimmedFrames += result.framesTrimmed;
+    duplicateFrames += result.framesDuplicated;
+    encodedFrames += result.framesEncoded;
+  };
+  const transportStats = [];
+
+  const reportFrame = async (frameNum, frame) => {
+    actualFramesCaptured++;
+
+    // Paused frames aren't in the output
+    const outputIndex = config.enableRecordingControl ? control.outputFrame - 1 : frameNum - startFrame;
+    if (previewCollector) {
+      previewCollector.add(outputIndex, frame);
     }
-    
-    const timestamp = frameNum * frameDuration;
-    
-    // Go to specific time
-    await goToTimeAndAnimateForCapture(page, timestamp);
-    
-    // Minimal delay for render
-    await new Promise(resolve => setTimeout(resolve, 5));
-    
-    // Get capture area
-    const captureArea = await page.evaluate((selector) => {
-      const element = document.querySelector(selector);
-      if (!element) {
-        return null;
-      }
-      const rect = element.getBoundingClientRect();
-      return {
-        x: rect.left,
-        y: rect.top,
-        width: rect.width,
-        height: rect.height
-      };
-    }, config.selector || 'body');
-    
-    // Capture screenshot
-    const screenshot = await page.screenshot({
-      type: 'png',
-      omitBackground: true,
-      clip: captureArea
+    emit('frame', {
+      frame: outputIndex,
+      timelineFrame: frameNum,
+      time: outputIndex / fps,
+      duplicate: !!frame.duplicate
     });
-    
-    // Write to FFmpeg
-    if (ffmpegError) {
-      throw ffmpegError;
-    }
-    
-    if (!ffmpeg.stdin.write(screenshot)) {
-      // Handle backpressure
-      await new Promise(resolve => ffmpeg.stdin.once('drain', resolve));
-    }
-    
-    actualFramesCaptured = frameNum + 1;
-    
+
     // Update progress
     const elapsed = (Date.now() - startTime) / 1000;
-    const captureRate = frameNum > 0 ? actualFramesCaptured / elapsed : 0;
-    
+    const renderedFrames = actualFramesCaptured - resumedFrames;
+    const captureRate = renderedFrames > 1 ? renderedFrames / elapsed : 0;
+
     if (config.enableRecordingControl) {
       // For recording control, just update the frame count
       progressBar.update(actualFramesCaptured, {
@@ -304,119 +1039,788 @@ module.exports = async function(config) {
         fps: `${captureRate.toFixed(1)} fps`
       });
     }
-    
+
     // Call progress callback if provided
     if (config.onProgress && typeof config.onProgress === 'function') {
       config.onProgress(actualFramesCaptured, totalFrames, captureRate, elapsed);
     }
-    
+    emit('progress', {
+      framesCaptured: actualFramesCaptured,
+      // The page decides when a recording-controlled render ends
+      totalFrames: config.enableRecordingControl ? undefined : totalFrames,
+      progress: config.enableRecordingControl ? undefined : actualFramesCaptured / totalFrames * 100,
+      captureRate,
+      elapsed
+    });
+
     // Send progress webhook (every 10% or 50 frames, whichever is less frequent)
     const progressInterval = Math.max(Math.floor(totalFrames * 0.1), 50);
     if (config.webhookUrl && actualFramesCaptured % progressInterval === 0) {
-      const progress = config.enableRecordingControl ? 
+      const progress = config.enableRecordingControl ?
         actualFramesCaptured : // For recording control, show frames captured
         (actualFramesCaptured / totalFrames) * 100; // For fixed duration, show percentage
-        
+
       await sendWebhook(config.webhookUrl, createWebhookPayload(WEBHOOK_EVENTS.JOB_PROGRESS, jobId, {
         progress: config.enableRecordingControl ? undefined : Math.round(progress),
         framesCaptured: actualFramesCaptured,
         totalFrames: config.enableRecordingControl ? undefined : totalFrames,
         captureRate: parseFloat(captureRate.toFixed(1)),
         elapsed: parseFloat(elapsed.toFixed(1)),
-        estimatedTimeRemaining: config.enableRecordingControl ? undefined : 
+        estimatedTimeRemaining: config.enableRecordingControl ? undefined :
           (totalFrames - actualFramesCaptured) / captureRate
       }));
     }
+  };
+
+  if (!piecewise) {
+    await jobAbort.guard(prepareStage(page, config));
+    if (layers) {
+      await jobAbort.guard(checkLayerSelectors(page, layers));
+    }
+
+    const result = await captureFrames(page, {
+      config: captureConfig,
+      output: captureOutput,
+      layers,
+      log,
+      startFrame,
+      endFrame,
+      control: config.enableRecordingControl ? control : null,
+      trimStillEnd: config.trimStillEnd,
+      pageLog: pageTracker,
+      abort: jobAbort,
+      keepPartial: config.keepPartial,
+      outputStream: streamTarget,
+      shouldStop: () => {
+        // Check if recording was stopped
+        if (config.enableRecordingControl && control.stopped) {
+          log('Recording stopped by page signal');
+          return true;
+        }
+        return false;
+      },
+      onFrame: reportFrame
+    });
+    transportStats.push(result.transport);
+    countFrames(result);
+    layerResults = result.layers || null;
+
+    if (config.capturePageAudio) {
+      pageAudioTracks = await jobAbort.guard(collectPageAudio(page, audioWorkDir, log));
+    }
+  } else {
+    // The range is rendered in pieces that are encoded on their own and then
+    // joined without re-encoding. Segments render pieces on parallel pages;
+    // checkpointing keeps finished pieces in the work directory across runs.
+    // Image sequences are numbered by frame, so pieces write straight into the final sequence.
+    const pieceDir = checkpoint ? workDir : `${output}.segments`;
+    if (!checkpoint && !outputFormat.sequence) {
+      tempPaths.push(pieceDir);
+      fs.mkdirSync(pieceDir, { recursive: true });
+    }
+
+    const extension = intermediate ? path.extname(intermediate) : (path.extname(output) || outputFormat.extension);
+    const pieces = checkpoint ?
+      splitIntoChunks(startFrame, endFrame, Math.max(1, Math.round(config.checkpointInterval * fps))) :
+      splitFrameRanges(startFrame, endFrame, segments);
+    const lastPiece = pieces[pieces.length - 1];
+
+    const queue = pieces.filter(piece => !(checkpoint && checkpoint.isComplete(piece)));
+    queue.forEach(piece => {
+      piece.output = outputFormat.sequence ? videoOutput :
+        path.join(pieceDir, `segment-${String(piece.start).padStart(6, '0')}${extension}`);
+    });
+
+    if (resumedFrames > 0) {
+      log(`Resuming from checkpoint: ${resumedFrames}/${totalFrames} frames already rendered`);
+    }
+    if (checkpoint && !queue.includes(lastPiece)) {
+      pageAudioTracks = checkpoint.pageAudio || [];
+    }
+
+    let segmentFailed = false;
+    const workers = Math.min(segments, queue.length);
+
+    const results = await Promise.allSettled(Array.from({ length: workers }, async () => {
+      // Recording control turns piecewise capture off, so segment pages never have it
+      const lease = await loadPage(pool, config, url, { log, pageLog, abort: jobAbort });
+      leases.push(lease);
+      if (!readiness) {
+        readiness = lease.readiness;
+        emit('loaded', { url, readiness });
+      }
+
+      try {
+        await jobAbort.guard(prepareStage(lease.page, config));
+
+        // Pieces are taken in timeline order, so each page only ever moves forward
+        while (queue.length > 0 && !segmentFailed) {
+          const piece = queue.shift();
+          const result = await captureFrames(lease.page, {
+            config: captureConfig,
+            output: piece.output,
+            log,
+            startFrame: piece.start,
+            endFrame: piece.end,
+            // Only the end of the whole video is trimmed
+            trimStillEnd: config.trimStillEnd && piece === lastPiece,
+            pageLog: lease.pageLog,
+            abort: jobAbort,
+            shouldStop: () => segmentFailed,
+            onFrame: reportFrame
+          });
+          transportStats.push(result.transport);
+          countFrames(result);
+
+          if (result.framesCaptured < piece.end - piece.start) {
+            break;
+          }
+
+          // The page that rendered the last piece has run the whole timeline, so it saw every play() call
+          if (config.capturePageAudio && piece === lastPiece) {
+            pageAudioTracks = await jobAbort.guard(collectPageAudio(lease.page, audioWorkDir, log));
+            if (checkpoint) {
+              checkpoint.setPageAudio(pageAudioTracks);
+            }
+          }
+
+          if (checkpoint) {
+            checkpoint.complete(piece);
+          }
+        }
+      } catch (error) {
+        segmentFailed = true;
+        throw error;
+      } finally {
+        leases.splice(leases.indexOf(lease), 1);
+        await lease.release();
+      }
+    }));
+
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+
+    if (!outputFormat.sequence) {
+      progressBar.stop();
+      log(`Joining ${pieces.length} segments...`);
+
+      const listPath = path.join(pieceDir, 'segments.txt');
+      fs.writeFileSync(listPath, pieces
+        .map(piece => `file '${piece.output.replace(/'/g, "'\\''")}'`)
+        .join('\n'));
+
+      await runFFmpeg(getConcatArgs(listPath, captureOutput), { verbose: config.verbose, signal: jobAbort.signal });
+      fs.rmSync(listPath, { force: true });
+      removeTemporaryFiles();
+    }
   }
 
   // Finalize
   progressBar.stop();
-  
-  ffmpeg.stdin.end();
-  await ffmpegPromise;
-  
-  await browser.close();
 
-  const elapsed = (Date.now() - startTime) / 1000;
-  const captureRate = actualFramesCaptured / elapsed;
+  await releaseBrowsers();
+
+  if (duplicateFrames > 0) {
+    log(`${duplicateFrames} frames were unchanged` + (config.vfr ? ` - encoded ${encodedFrames} at a variable frame rate` : ''));
+  }
+  if (trimmedFrames > 0) {
+    log(`Trimmed ${trimmedFrames} still frames from the end`);
+    actualFramesCaptured -= trimmedFrames;
+  }
+
   const actualDuration = actualFramesCaptured / fps;
-  
-  // Get file size
-  const stats = fs.statSync(output);
-  const fileSizeMB = stats.size / (1024 * 1024);
-  
+
+  // Encode the intermediate at the bitrate that fits the size budget
+  if (intermediate) {
+    tempPaths.push(intermediate, passLogDir);
+    fs.mkdirSync(passLogDir, { recursive: true });
+    config.rateControl.bitrate = getTargetSizeBitrate(config.rateControl, actualDuration,
+      wantsAudio ? getAudioCodecForOutput(config.format).bitrate : 0);
+    log(`Encoding to ${config.rateControl.targetSize}MB in two passes at ${Math.round(config.rateControl.bitrate / 1000)} kbps...`);
+
+    for (const pass of [1, 2]) {
+      await runFFmpeg(getGenerationConfig(videoOutput, config, {
+        file: intermediate,
+        pass,
+        passLogFile: path.join(passLogDir, 'pass')
+      }, startFrame).args, { verbose: config.verbose, signal: jobAbort.signal });
+    }
+    removeTemporaryFiles();
+  }
+
+  // Mix soundtracks and page audio onto the captured video
+  const allAudioTracks = audioTracks.concat(offsetAudioTracks(pageAudioTracks, startFrame / fps));
+  if (wantsAudio) {
+    tempPaths.push(videoOutput, audioWorkDir);
+
+    if (allAudioTracks.length > 0) {
+      log(`Mixing ${allAudioTracks.length} audio track(s)...`);
+      await runFFmpeg(getAudioMuxArgs(videoOutput, allAudioTracks, output, actualDuration, config.format),
+        { verbose: config.verbose, signal: jobAbort.signal });
+    } else {
+      log('No audio was played by the page - output is silent');
+      fs.renameSync(videoOutput, output);
+    }
+    removeTemporaryFiles();
+  }
+
+  // Chapters from the page are added to the finished file without re-encoding
+  if (control.chapters.length > 0) {
+    if (outputStream) {
+      log('Streamed output can\'t be rewritten with chapters - they are only listed in the metadata');
+    } else if (outputFormat.chapters) {
+      log(`Writing ${control.chapters.length} chapter(s)...`);
+      for (const file of outputs) {
+        const chaptersPath = `${file}.chapters.txt`;
+        const chapteredOutput = file.replace(/(\.[^.]+)?$/, '.chapters$1');
+        tempPaths.push(chaptersPath, chapteredOutput);
+
+        fs.writeFileSync(chaptersPath, getChapterMetadata(control.chapters, actualDuration));
+        await runFFmpeg(getChapterMuxArgs(file, chaptersPath, chapteredOutput, config.format),
+          { verbose: config.verbose, signal: jobAbort.signal });
+        fs.renameSync(chapteredOutput, file);
+        removeTemporaryFiles();
+      }
+    } else {
+      log(`${outputFormat.name} can't carry chapters - they are only listed in the metadata`);
+    }
+  }
+
+  // stdout stays open for the rest of the process
+  if (outputStream && outputStream !== process.stdout) {
+    await jobAbort.guard(new Promise(resolve => outputStream.end(resolve)));
+  }
+
+  emit('encoded', {
+    output: outputLabel,
+    layers: layers ? layers.map(layer => ({ name: layer.name, output: layer.output })) : undefined,
+    format: config.format,
+    frames: actualFramesCaptured,
+    duration: actualDuration
+  });
+
+  let previewFiles = {};
+  if (previewCollector) {
+    log('Writing preview images...');
+    previewFiles = await previewCollector.finish({
+      frames: actualFramesCaptured,
+      background: config.background,
+      supersample: config.supersample,
+      verbose: config.verbose,
+      signal: jobAbort.signal
+    });
+    previewCollector.remove();
+  }
+
+  // The output is assembled, so the pieces are no longer needed
+  if (checkpoint) {
+    checkpoint.remove();
+  }
+
+  const elapsed = (Date.now() - startTime) / 1000;
+  const captureRate = (actualFramesCaptured - resumedFrames) / elapsed;
+
+  // Get file size (summed over every image of a sequence)
+  const getFilesSize = files => files.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+  const outputFiles = outputStream ? [] :
+    outputs.reduce((files, file) => files.concat(getOutputFiles(file, config.format)), []);
+  const fileSizeBytes = outputStream ? streamTarget.bytes : getFilesSize(outputFiles);
+  const fileSizeMB = fileSizeBytes / (1024 * 1024);
+
+  // Per-frame capture cost across all segments
+  const transportFrames = transportStats.reduce((sum, stats) => sum + stats.frames, 0);
+  const transportTimeMs = transportStats.reduce((sum, stats) => sum + stats.totalCaptureMs, 0);
+
+  // The page can change the length of the timeline with setDuration
+  const timelineFrames = config.enableRecordingControl ? control.endFrame - startFrame : totalFrames;
+
   // Generate metadata
   const metadata = {
     inputFile: url,
     generationTime: elapsed,
     processingSpeed: captureRate,
     generationTimeRatio: elapsed / actualDuration,
-    totalFrames: totalFrames,
+    totalFrames: timelineFrames,
     capturedFrames: actualFramesCaptured,
-    skippedFrames: totalFrames - actualFramesCaptured,
+    skippedFrames: timelineFrames - actualFramesCaptured,
+    pausedFrames: config.enableRecordingControl ? control.pausedFrames : undefined,
+    trimmedFrames: config.trimStillEnd ? trimmedFrames : undefined,
+    duplicateFrames: duplicateFrames,
+    encodedFrames: encodedFrames,
+    layers: layerResults ? layerResults.map((result, index) => ({
+      name: result.name,
+      selector: layers[index].selector,
+      outputFile: result.output,
+      duplicateFrames: result.framesDuplicated,
+      encodedFrames: result.framesEncoded,
+      fileSizeBytes: getFilesSize(getOutputFiles(result.output, config.format))
+    })) : undefined,
+    frameRateMode: config.vfr ? 'vfr' : 'cfr',
+    variant: config.variant || undefined,
+    streamed: outputStream ? true : undefined,
+    liveSegmentDuration: outputFormat.live ? config.liveSegmentDuration : undefined,
+    startFrame: startFrame,
+    endFrame: startFrame + actualFramesCaptured + control.pausedFrames,
+    resumedFrames: checkpoint ? resumedFrames : undefined,
     duration: actualDuration,
+    autoDuration: autoDuration || undefined,
     fps: fps,
     width: config.width || 1920,
     height: config.height || 1080,
     fileSize: fileSizeMB,
-    fileSizeBytes: stats.size,
-    codec: 'vp9',
+    fileSizeBytes: fileSizeBytes,
+    format: config.format,
+    codec: getGenerationConfig(output, config).codec,
     quality: config.quality || 23,
-    outputFile: output,
+    rateControl: config.rateControl.mode !== 'crf' ?
+      describeRateControl(config.rateControl, fileSizeBytes, actualDuration) : undefined,
+    outputFiles: outputFormat.sequence ? outputFiles.length : undefined,
+    segments: segments,
+    data: config.data,
+    seed: config.seed !== null && config.seed !== undefined ? config.seed : null,
+    clockStart: clockStart !== null ? new Date(clockStart).toISOString() : null,
+    readiness: readiness,
+    pageLog: pageLog.summary(),
+    markers: config.enableRecordingControl ? control.markers : undefined,
+    chapters: config.enableRecordingControl ? control.chapters : undefined,
+    poster: previewFiles.poster,
+    sprite: previewFiles.sprite,
+    mediaSync: config.mediaSync,
+    motionBlur: config.motionBlur,
+    supersample: config.supersample,
+    background: describeBackground(config.background),
+    pixelFormat: getGenerationConfig(output, config).pixelFormat,
+    audio: allAudioTracks.length > 0 ? describeAudioTracks(allAudioTracks, config.format) : null,
+    frameTransport: {
+      method: transportStats.length > 0 ? transportStats[0].method : config.frameTransport,
+      format: config.frameFormat,
+      averageCaptureMs: transportFrames > 0 ? transportTimeMs / transportFrames : 0,
+      totalCaptureMs: transportTimeMs
+    },
+    outputFile: outputLabel,
     timestamp: new Date().toISOString()
   };
-  
-  // Write metadata file if enabled
+
+  // Write metadata file if enabled; streamed renders only return it
   let metadataPath = null;
-  if (config.generateMetadata !== false) {
+  if (config.generateMetadata !== false && !outputStream) {
     metadataPath = output.replace(/\.[^.]+$/, '.metadata.json');
     fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
   }
-  
+
   log(`\nCompleted!`);
   log(`Total time: ${elapsed.toFixed(1)}s`);
   log(`Capture rate: ${captureRate.toFixed(1)} fps`);
   log(`Actual video duration: ${actualDuration.toFixed(1)}s (${actualFramesCaptured} frames)`);
   log(`Generation time ratio: ${(elapsed / actualDuration).toFixed(2)}x`);
-  log(`Output: ${output} (${fileSizeMB.toFixed(1)}MB)`);
+  if (layers) {
+    layers.forEach(layer => log(`Layer ${layer.name}: ${layer.output}`));
+    log(`Output: ${layers.length} layers (${fileSizeMB.toFixed(1)}MB)`);
+  } else {
+    log(`Output: ${outputLabel} (${fileSizeMB.toFixed(1)}MB)`);
+  }
+  if (metadata.rateControl) {
+    const target = metadata.rateControl.targetSizeBytes !== undefined ?
+      `target ${config.rateControl.targetSize}MB` :
+      (metadata.rateControl.targetBitrate !== undefined ? `target ${Math.round(metadata.rateControl.targetBitrate / 1000)} kbps` :
+        `max ${Math.round(metadata.rateControl.maxBitrate / 1000)} kbps`);
+    log(`Bitrate: ${Math.round(metadata.rateControl.achievedBitrate / 1000)} kbps (${target})` +
+      (metadata.rateControl.withinTarget === false ? ' - over the size budget' : ''));
+  }
   if (metadataPath) {
     log(`Metadata: ${metadataPath}`);
   }
-  
+  if (previewFiles.poster) {
+    log(`Poster: ${previewFiles.poster.path}`);
+  }
+  if (previewFiles.sprite) {
+    log(`Sprite sheet: ${previewFiles.sprite.path} (${previewFiles.sprite.thumbnails} thumbnails, ${previewFiles.sprite.vtt})`);
+  }
+  if (metadata.pageLog.errors > 0 || metadata.pageLog.warnings > 0) {
+    log(`Page log: ${metadata.pageLog.errors} error(s), ${metadata.pageLog.warnings} warning(s)`);
+  }
+
   // Send job completed webhook
   if (config.webhookUrl) {
     await sendWebhook(config.webhookUrl, createWebhookPayload(WEBHOOK_EVENTS.JOB_COMPLETED, jobId, {
       inputFile: url,
-      outputFile: output,
+      outputFile: outputLabel,
+      layers: layers ? layers.map(layer => ({ name: layer.name, outputFile: layer.output })) : undefined,
       metadata: {
         generationTime: elapsed,
         captureRate: parseFloat(captureRate.toFixed(1)),
         actualDuration: parseFloat(actualDuration.toFixed(1)),
         capturedFrames: actualFramesCaptured,
         fileSize: parseFloat(fileSizeMB.toFixed(1)),
-        generationTimeRatio: parseFloat((elapsed / actualDuration).toFixed(2))
-      }
+        generationTimeRatio: parseFloat((elapsed / actualDuration).toFixed(2)),
+        segments
+      },
+      pageLog: pageLog.summary({ limit: 20 })
     }));
   }
-  
-  } catch (error) {
-    if (browser) {
-      await browser.close();
+
+  return metadata;
+  } catch (caughtError) {
+    // Waits that gave up fail with the job's own cancellation or timeout error
+    const error = jobAbort.aborted ? jobAbort.error : caughtError;
+    const partial = config.keepPartial && error.partialFrames > 0;
+
+    await releaseBrowsers();
+    if (intermediate) {
+      tempPaths.push(intermediate, passLogDir);
     }
-    
+    if (wantsAudio) {
+      if (partial) {
+        // The soundtrack isn't mixed into partial output
+        fs.renameSync(videoOutput, output);
+      } else {
+        tempPaths.push(videoOutput);
+      }
+      if (!checkpoint) {
+        tempPaths.push(audioWorkDir);
+      }
+    }
+    removeTemporaryFiles();
+    if (previewCollector) {
+      previewCollector.remove();
+    }
+
+    // Output cut off by a cancel or timeout is removed unless it was finished
+    // as partial output; checkpointed renders keep their pieces to resume from
+    if (jobAbort.aborted && !partial && !checkpoint && !outputStream) {
+      outputs.forEach(file => {
+        getOutputFiles(file, config.format).forEach(outputFile => fs.rmSync(outputFile, { force: true }));
+      });
+    }
+    if (partial) {
+      log(`Partial output kept: ${outputLabel} (${error.partialFrames} frames)`);
+    }
+    // A stream that got partial output is ended normally, others are closed
+    // without finishing so the reader can tell the video is cut off
+    if (outputStream && outputStream !== process.stdout) {
+      if (partial) {
+        outputStream.end();
+      } else {
+        outputStream.destroy();
+      }
+    }
+
+    if (checkpoint) {
+      log(`Finished pieces kept in ${workDir} - run again with resume to continue`);
+    }
+
     // Send job failed webhook
     if (config.webhookUrl) {
       await sendWebhook(config.webhookUrl, createWebhookPayload(WEBHOOK_EVENTS.JOB_FAILED, jobId, {
         inputFile: url,
-        outputFile: output,
+        outputFile: outputLabel,
+        // cancelled, timeout, frame-timeout or error
+        reason: error.reason || 'error',
         error: {
           message: error.message,
           stack: error.stack,
           name: error.name
-        }
+        },
+        partialOutput: partial ? outputLabel : undefined,
+        partialFrames: partial ? error.partialFrames : undefined,
+        pageLog: pageLog.summary({ limit: 20 })
       }));
     }
-    
+
     throw error;
+  } finally {
+    jobAbort.dispose();
+    if (outputStream) {
+      outputStream.removeListener('error', onStreamError);
+    }
+  }
+}
+
+/**
+ * Render a page once per variant, sharing one browser
+ * @param {object} config - Capture options with variants
+ * @param {function} emit - Called with (event, payload); payloads carry the variant name
+ * @returns {Promise<object[]>} The metadata of each variant, in order
+ */
+async function runVariants(config, emit) {
+  const output = config.output || 'output.webm';
+  if (output === '-' || typeof output.write === 'function') {
+    throw new Error('Variants are written to separate files - they can\'t be streamed');
+  }
+  const variants = resolveVariants(config.variants, path.resolve(process.cwd(), output));
+  if (!variants) {
+    throw new Error('No variant sizes given');
+  }
+  const concurrency = Math.max(1, Math.min(parseInt(config.variantConcurrency, 10) || 1, variants.length));
+  const jobId = config.jobId || createJobId();
+
+  // Variants share a browser, each rendering on its own page
+  const ownPool = config.pool ? null : createBrowserPool({
+    browsers: 1,
+    pagesPerBrowser: concurrency * Math.max(1, parseInt(config.segments, 10) || 1),
+    beginFrameControl: config.frameTransport === 'beginframe',
+    launchOptions: config.signal ? { handleSIGINT: false } : undefined
+  });
+
+  const results = [];
+  const queue = variants.slice();
+  let failed = false;
+  try {
+    const workers = await Promise.allSettled(Array.from({ length: concurrency }, async () => {
+      while (queue.length > 0 && !failed) {
+        const variant = queue.shift();
+        const index = variants.indexOf(variant);
+        try {
+          results[index] = await runCapture(Object.assign({}, config, {
+            variants: null,
+            variant: { name: variant.name, width: variant.width, height: variant.height, aspectRatio: variant.aspectRatio },
+            width: variant.width,
+            height: variant.height,
+            output: variant.output,
+            jobId: `${jobId}_${variant.name}`,
+            pool: config.pool || ownPool
+          }), (event, payload) => emit(event, Object.assign({ variant: variant.name }, payload)));
+        } catch (error) {
+          failed = true;
+          error.variant = variant.name;
+          throw error;
+        }
+      }
+    }));
+
+    const failure = workers.find(worker => worker.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+    return results;
+  } finally {
+    if (ownPool) {
+      await ownPool.close();
+    }
+  }
+}
+
+/**
+ * Save images of a page at chosen times of its timeline, without encoding a video
+ * @param {object} config - Page options as for a render, plus those below
+ * @returns {Promise<object>} { inputFile, format, stills: [{ index, time, path }], contactSheet, ... }
+ */
+async function renderStills(config) {
+  config = Object.assign({
+    width: 1920,
+    height: 1080,
+    quiet: false,
+    at: null, // Times to capture: "0,1.5,3s" or [0, 1.5, '3000ms']
+    format: null, // png, jpeg or webp, inferred from the output extension when not set
+    frameTransport: 'screenshot', // 'screenshot' or 'cdp'
+    frameQuality: 90, // For jpeg/webp stills
+    seed: null,
+    clockStart: null,
+    mediaSync: null,
+    mediaSyncTimeout: 5000,
+    supersample: 1, // Device scale factor; stills come out this many times the viewport size
+    background: 'transparent', // 'transparent', 'page' or a colour
+    pageErrors: 'warn',
+    signal: null,
+    timeout: null,
+    frameTimeout: DEFAULT_FRAME_TIMEOUT, // Longest one still may take, in ms
+    contactSheet: null, // true or { columns, width, path } to also lay the stills out on one image
+    output: 'still.png' // Path pattern, with {index}, {time} or {ms}, or the time is appended
+  }, config || {});
+
+  const log = (...args) => {
+    if (!config.quiet) {
+      console.log(...args);
+    }
+  };
+
+  const url = config.url.includes('://') ? config.url : 'file://' + path.resolve(process.cwd(), config.url);
+  const output = path.resolve(process.cwd(), config.output);
+  const times = parseStillTimes(config.at);
+  const format = resolveStillFormat(config.format, output);
+  const contactSheet = resolveContactSheet(config.contactSheet, output, format);
+
+  if (typeof config.data === 'string') {
+    const rows = loadDataRows(config.data);
+    if (rows.length !== 1) {
+      throw new Error(`Data source has ${rows.length} rows; render one set of stills per row`);
+    }
+    config.data = rows[0];
   }
-};
\ No newline at end of file
+  config.mediaSync = resolveMediaAdapters(config.mediaSync);
+  config.background = resolveBackground(config.background);
+  if (isComposited(config.background) && config.background.type !== 'color') {
+    throw new Error('Stills are saved without FFmpeg - use a transparent, page or colour background');
+  }
+  config.supersample = Number(config.supersample) || 1;
+  if (config.supersample < 1 || config.supersample > 4) {
+    throw new Error(`Invalid supersample factor ${config.supersample}: use 1 to 4`);
+  }
+  // beginFrame needs a page created for it; a few stills don't gain from it
+  if (!['screenshot', 'cdp'].includes(config.frameTransport)) {
+    log(`Stills are captured with screenshots - ${config.frameTransport} is for video`);
+    config.frameTransport = 'screenshot';
+  }
+  if (config.frameTimeout === undefined || config.frameTimeout === null) {
+    config.frameTimeout = DEFAULT_FRAME_TIMEOUT;
+  }
+
+  const pageLog = createPageLog({ policy: config.pageErrors, log });
+  const jobAbort = createJobAbort({ signal: config.signal, timeout: config.timeout });
+  const ownPool = config.pool ? null : createBrowserPool({
+    browsers: 1,
+    pagesPerBrowser: 1,
+    launchOptions: config.signal ? { handleSIGINT: false } : undefined
+  });
+  const pool = config.pool || ownPool;
+  let lease = null;
+  let transport = null;
+
+  try {
+    lease = await loadPage(pool, config, url, { log, pageLog, abort: jobAbort });
+    const page = lease.page;
+    log('Page loaded');
+
+    await prepareStage(page, config);
+    // Without FFmpeg to composite it, a background colour is painted by the page
+    // (JPEG has no alpha, so it keeps the page's own background when transparent)
+    if (config.background.type === 'color') {
+      await page.evaluate((color) => {
+        document.documentElement.style.background = color;
+      }, config.background.color);
+    }
+    const transparent = config.background.type === 'transparent' && format !== 'jpeg';
+    transport = await jobAbort.guard(createFrameTransport(page, {
+      method: config.frameTransport,
+      format,
+      quality: config.frameQuality,
+      scale: config.supersample,
+      transparent,
+      log
+    }));
+
+    const stills = [];
+    for (let index = 0; index < times.length; index++) {
+      const time = times[index];
+      const image = await jobAbort.guard((async () => {
+        lease.pageLog.setTime(time * 1000);
+        await goToTimeAndAnimateForCapture(page, time * 1000);
+        // Minimal delay for render
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const captureArea = await getLayerArea(page, { selector: config.selector || 'body', css: null });
+        return (await transport.capture(captureArea)).image;
+      })(), config.frameTimeout, `Still at ${time}s`);
+      lease.pageLog.check();
+
+      const stillPath = getStillPath(output, format, { index, time });
+      fs.mkdirSync(path.dirname(stillPath), { recursive: true });
+      fs.writeFileSync(stillPath, image);
+      stills.push({ index, time, path: stillPath, image });
+      log(`Still ${index + 1}/${times.length} at ${time}s: ${stillPath}`);
+    }
+
+    // The contact sheet is laid out on the same page, now done with the animation
+    let sheet = null;
+    if (contactSheet) {
+      const columns = Math.min(contactSheet.columns, stills.length);
+      await jobAbort.guard((async () => {
+        await page.setViewport({ width: getContactSheetWidth(columns, contactSheet.width), height: 1, deviceScaleFactor: 1 });
+        await page.setContent(getContactSheetHtml(stills, { columns, width: contactSheet.width, format }), { waitUntil: 'load' });
+        await page.evaluate(() => Promise.all(Array.from(document.images, image => image.decode())));
+        const image = await page.screenshot({ type: format, fullPage: true, quality: format === 'png' ? undefined : config.frameQuality });
+        fs.mkdirSync(path.dirname(contactSheet.path), { recursive: true });
+        fs.writeFileSync(contactSheet.path, image);
+      })(), config.frameTimeout, 'Contact sheet');
+      sheet = { path: contactSheet.path, columns, rows: Math.ceil(stills.length / columns), width: contactSheet.width };
+      log(`Contact sheet: ${contactSheet.path}`);
+    }
+
+    return {
+      inputFile: url,
+      format,
+      width: config.width,
+      height: config.height,
+      supersample: config.supersample,
+      background: describeBackground(config.background),
+      selector: config.selector || 'body',
+      readiness: lease.readiness,
+      stills: stills.map(still => ({ index: still.index, time: still.time, path: still.path })),
+      contactSheet: sheet,
+      pageLog: pageLog.summary(),
+      capture: transport.stats()
+    };
+  } finally {
+    if (transport) {
+      await settleWithin(transport.dispose(), DISPOSE_TIMEOUT);
+    }
+    if (lease) {
+      await lease.release({ retire: jobAbort.aborted && jobAbort.error.reason !== 'cancelled' });
+    }
+    if (ownPool) {
+      await ownPool.close();
+    }
+    jobAbort.dispose();
+  }
+}
+
+/**
+ * Renders one page to video, reporting as it goes
+ *
+ * Events:
+ *   loaded   - { url, readiness } the page is ready and capture is about to start
+ *   frame    - { frame, timelineFrame, time, duplicate } after each captured frame
+ *   progress - { framesCaptured, totalFrames, progress, captureRate, elapsed } after each frame;
+ *              totalFrames and progress (percent) are unset with recording control
+ *   marker   - { type, name|title, frame, time, pageTime } a marker or chapter from the page
+ *   encoded  - { output, layers, format, frames, duration } the video file is written
+ *   done     - the metadata object, also what render() resolves to
+ *   error    - the error render() rejects with; only emitted when listened to
+ *
+ * With variants, every event but done and error also carries the variant name.
+ */
+class Renderer extends EventEmitter {
+  /**
+   * @param {object} config - Capture options
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+  }
+
+  /**
+   * @returns {Promise<object|object[]|null>} The metadata, or null when the page stopped
+   *   recording before it started; with variants, an array of each variant's metadata
+   */
+  async render() {
+    const emit = (event, payload) => this.emit(event, payload);
+    try {
+      const metadata = this.config && this.config.variants ?
+        await runVariants(this.config, emit) :
+        await runCapture(this.config, emit);
+      this.emit('done', metadata);
+      return metadata;
+    } catch (error) {
+      // An unhandled 'error' event would throw instead of rejecting
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Render a page to video
+ * @param {object} config - Capture options
+ * @returns {Promise<object|object[]|null>} The metadata, an array of it with variants
+ */
+function capture(config) {
+  return new Renderer(config).render();
+}
+
+module.exports = capture;
+module.exports.Renderer = Renderer;
+module.exports.stills = renderStills;
+module.exports.createBrowserPool = createBrowserPool;
@@ -0,0 +1,383 @@
+/**
+ * Audio support - soundtrack files and in-page media/WebAudio capture,
+ * mixed onto the silent capture in a final FFmpeg mux step
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { OUTPUT_FORMATS, getRemuxArgs } = require('./output-formats');
+
+/**
+ * Normalize the audio option into a list of track descriptions
+ * @param {string|object|Array} audio - File path, track object or list of either
+ * @returns {Array<object>} Tracks with { path, offset, trimStart, trimEnd, fadeIn, fadeOut, volume, loop }
+ */
+function normalizeAudioTracks(audio) {
+  if (!audio) {
+    return [];
+  }
+
+  const list = Array.isArray(audio) ? audio : [audio];
+
+  return list.map(track => {
+    if (typeof track === 'string') {
+      track = { path: track };
+    }
+    if (!track.path) {
+      throw new Error('Audio track needs a path');
+    }
+
+    const isUrl = track.path.includes('://');
+    const trackPath = isUrl ? track.path : path.resolve(process.cwd(), track.path);
+    if (!isUrl && !fs.existsSync(trackPath)) {
+      throw new Error(`Audio file not found: ${track.path}`);
+    }
+
+    return {
+      source: track.source || 'file',
+      path: trackPath,
+      inputArgs: track.inputArgs || [],
+      offset: track.offset || 0,
+      trimStart: track.trimStart || 0,
+      trimEnd: track.trimEnd !== undefined ? track.trimEnd :
+        (track.duration !== undefined ? (track.trimStart || 0) + track.duration : null),
+      fadeIn: track.fadeIn || 0,
+      fadeOut: track.fadeOut || 0,
+      volume: track.volume !== undefined ? track.volume : 1,
+      loop: !!track.loop
+    };
+  });
+}
+
+/**
+ * Record when the page plays <audio>/<video> elements and WebAudio buffers.
+ * Times come from performance.now(), which timeweb turns into virtual time.
+ */
+async function injectAudioRecorder(page) {
+  await page.evaluateOnNewDocument(() => {
+    const recorder = { media: [], clips: [], buffers: [] };
+    const activeMedia = new Map();
+    const bufferIds = new WeakMap();
+
+    Object.defineProperty(window, '__html2videoAudio', { value: recorder });
+
+    const now = () => performance.now();
+
+    function startMedia(element) {
+      if (activeMedia.has(element)) {
+        return;
+      }
+      const entry = {
+        src: element.currentSrc || element.src,
+        start: now(),
+        end: null,
+        mediaTime: element.currentTime || 0,
+        volume: element.muted ? 0 : element.volume,
+        loop: element.loop,
+        playbackRate: element.playbackRate
+      };
+      activeMedia.set(element, entry);
+      recorder.media.push(entry);
+    }
+
+    function stopMedia(element) {
+      const entry = activeMedia.get(element);
+      if (entry) {
+        entry.end = now();
+        activeMedia.delete(element);
+      }
+    }
+
+    const originalPlay = HTMLMediaElement.prototype.play;
+    HTMLMediaElement.prototype.play = function() {
+      startMedia(this);
+      return originalPlay.apply(this, arguments);
+    };
+
+    const originalPause = HTMLMediaElement.prototype.pause;
+    HTMLMediaElement.prototype.pause = function() {
+      stopMedia(this);
+      return originalPause.apply(this, arguments);
+    };
+
+    // Autoplaying elements never call play()
+    window.addEventListener('play', (event) => {
+      if (event.target instanceof HTMLMediaElement) {
+        startMedia(event.target);
+      }
+    }, true);
+
+    if (window.AudioBufferSourceNode) {
+      const originalStart = AudioBufferSourceNode.prototype.start;
+      AudioBufferSourceNode.prototype.start = function(when = 0, offset = 0, duration) {
+        const buffer = this.buffer;
+        if (buffer) {
+          if (!bufferIds.has(buffer)) {
+            bufferIds.set(buffer, recorder.buffers.push(buffer) - 1);
+          }
+          const delay = Math.max(0, when - this.context.currentTime) * 1000;
+          const clip = {
+            bufferId: bufferIds.get(buffer),
+            start: now() + delay,
+            end: null,
+            offset,
+            duration: duration !== undefined ? duration : null,
+            loop: this.loop,
+            playbackRate: this.playbackRate.value
+          };
+          recorder.clips.push(clip);
+
+          const originalStop = this.stop;
+          this.stop = function(stopWhen = 0) {
+            clip.end = now() + Math.max(0, stopWhen - this.context.currentTime) * 1000;
+            return originalStop.apply(this, arguments);
+          };
+        }
+        return originalStart.apply(this, arguments);
+      };
+    }
+  });
+}
+
+/**
+ * Turn what the page played into audio tracks
+ * @param {object} page - Page that ran the whole timeline
+ * @param {string} workDir - Directory for decoded WebAudio buffers
+ * @param {function} log - Logger for skipped sources
+ * @returns {Promise<Array<object>>} Tracks for getAudioMuxArgs
+ */
+async function collectPageAudio(page, workDir, log = () => {}) {
+  const recorded = await page.evaluate(() => {
+    const recorder = window.__html2videoAudio;
+    if (!recorder) {
+      return { media: [], clips: [], buffers: [] };
+    }
+    return {
+      media: recorder.media,
+      clips: recorder.clips,
+      buffers: recorder.buffers.map(buffer => ({
+        sampleRate: buffer.sampleRate,
+        channels: buffer.numberOfChannels
+      }))
+    };
+  });
+
+  const tracks = [];
+
+  recorded.media.forEach(entry => {
+    if (!entry.src || entry.volume === 0) {
+      return;
+    }
+    if (entry.src.startsWith('blob:') || entry.src.startsWith('data:')) {
+      log(`Skipping page audio from ${entry.src.substr(0, 30)}... (blob/data URLs are not supported)`);
+      return;
+    }
+
+    const src = entry.src.startsWith('file://') ? fileURLToPath(entry.src) : entry.src;
+    const length = entry.end !== null ? (entry.end - entry.start) / 1000 * entry.playbackRate : null;
+
+    tracks.push({
+      source: 'media',
+      path: src,
+      inputArgs: [],
+      offset: entry.start / 1000,
+      trimStart: entry.mediaTime,
+      trimEnd: length !== null && !entry.loop ? entry.mediaTime + length : null,
+      duration: length,
+      fadeIn: 0,
+      fadeOut: 0,
+      volume: entry.volume,
+      loop: entry.loop
+    });
+  });
+
+  if (recorded.clips.length > 0) {
+    fs.mkdirSync(workDir, { recursive: true });
+  }
+
+  // Decoded WebAudio buffers only exist in the page, so dump them as raw PCM
+  const bufferFiles = new Map();
+  for (const clip of recorded.clips) {
+    if (!bufferFiles.has(clip.bufferId)) {
+      const info = recorded.buffers[clip.bufferId];
+      const base64 = await page.evaluate((id) => {
+        const buffer = window.__html2videoAudio.buffers[id];
+        const channels = buffer.numberOfChannels;
+        const interleaved = new Float32Array(buffer.length * channels);
+        for (let c = 0; c < channels; c++) {
+          const data = buffer.getChannelData(c);
+          for (let i = 0; i < buffer.length; i++) {
+            interleaved[i * channels + c] = data[i];
+          }
+        }
+        const bytes = new Uint8Array(interleaved.buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+          binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+      }, clip.bufferId);
+
+      const filePath = path.join(workDir, `webaudio-${clip.bufferId}.f32`);
+      fs.writeFileSync(filePath, Buffer.from(base64, 'base64'));
+      bufferFiles.set(clip.bufferId, { filePath, info });
+    }
+
+    const { filePath, info } = bufferFiles.get(clip.bufferId);
+    const played = clip.end !== null ? (clip.end - clip.start) / 1000 : null;
+    const length = clip.duration !== null ? clip.duration : played;
+
+    tracks.push({
+      source: 'webaudio',
+      path: filePath,
+      inputArgs: ['-f', 'f32le', '-ar', info.sampleRate.toString(), '-ac', info.channels.toString()],
+      offset: clip.start / 1000,
+      trimStart: clip.offset,
+      trimEnd: length !== null && !clip.loop ? clip.offset + length : null,
+      duration: length,
+      fadeIn: 0,
+      fadeOut: 0,
+      volume: 1,
+      loop: clip.loop
+    });
+  }
+
+  return tracks;
+}
+
+/**
+ * Move tracks recorded on the page timeline onto a video that starts later
+ * @param {Array<object>} tracks - Tracks from collectPageAudio
+ * @param {number} seconds - Page time at which the video starts
+ */
+function offsetAudioTracks(tracks, seconds) {
+  if (!seconds) {
+    return tracks;
+  }
+
+  return tracks.map(track => {
+    const offset = track.offset - seconds;
+    if (offset >= 0) {
+      return Object.assign({}, track, { offset });
+    }
+    // Already playing when the video starts - skip the part before it
+    return Object.assign({}, track, { offset: 0, trimStart: track.trimStart - offset });
+  }).filter(track => track.trimEnd === null || track.trimEnd === undefined || track.trimStart < track.trimEnd);
+}
+
+/**
+ * Pick an audio codec the output container can hold
+ * @param {string} format - Key of OUTPUT_FORMATS
+ */
+function getAudioCodecForOutput(format) {
+  if (['mp4', 'mov'].includes(OUTPUT_FORMATS[format].muxer)) {
+    return { codec: 'aac', bitrate: 192000, args: ['-c:a', 'aac', '-b:a', '192k'] };
+  }
+  return { codec: 'opus', bitrate: 160000, args: ['-c:a', 'libopus', '-b:a', '160k'] };
+}
+
+/**
+ * Build the FFmpeg filter chain that places one track on the video timeline
+ */
+function getTrackFilter(track, inputIndex, label, videoDuration) {
+  const filters = [];
+
+  const trim = [`start=${track.trimStart}`];
+  if (track.trimEnd !== null && track.trimEnd !== undefined) {
+    trim.push(`end=${track.trimEnd}`);
+  }
+  filters.push(`atrim=${trim.join(':')}`, 'asetpts=PTS-STARTPTS');
+
+  // Never play past the end of the video
+  const available = Math.max(0, videoDuration - track.offset);
+  const length = track.trimEnd !== null && track.trimEnd !== undefined ?
+    Math.min(track.trimEnd - track.trimStart, available) : available;
+  filters.push(`atrim=end=${length.toFixed(3)}`);
+
+  if (track.volume !== 1) {
+    filters.push(`volume=${track.volume}`);
+  }
+  if (track.fadeIn > 0) {
+    filters.push(`afade=t=in:st=0:d=${track.fadeIn}`);
+  }
+  if (track.fadeOut > 0) {
+    filters.push(`afade=t=out:st=${Math.max(0, length - track.fadeOut).toFixed(3)}:d=${track.fadeOut}`);
+  }
+  if (track.offset > 0) {
+    const delay = Math.round(track.offset * 1000);
+    filters.push(`adelay=${delay}:all=1`);
+  }
+
+  return `[${inputIndex}:a]${filters.join(',')}[${label}]`;
+}
+
+/**
+ * Generate FFmpeg arguments that mix audio tracks onto a silent video
+ * @param {string} videoPath - Encoded video without audio
+ * @param {Array<object>} tracks - Tracks from normalizeAudioTracks/collectPageAudio
+ * @param {string} outputPath - Final output file
+ * @param {number} videoDuration - Video length in seconds
+ * @param {string} format - Key of OUTPUT_FORMATS the output is written as
+ */
+function getAudioMuxArgs(videoPath, tracks, outputPath, videoDuration, format) {
+  const args = ['-y', '-i', videoPath];
+
+  tracks.forEach(track => {
+    if (track.loop) {
+      args.push('-stream_loop', '-1');
+    }
+    args.push(...track.inputArgs, '-i', track.path);
+  });
+
+  const chains = tracks.map((track, index) => getTrackFilter(track, index + 1, `a${index}`, videoDuration));
+  const labels = tracks.map((track, index) => `[a${index}]`).join('');
+
+  if (tracks.length > 1) {
+    chains.push(`${labels}amix=inputs=${tracks.length}:duration=longest:dropout_transition=0:normalize=0,apad[aout]`);
+  } else {
+    chains.push(`${labels}apad[aout]`);
+  }
+
+  const { args: codecArgs } = getAudioCodecForOutput(format);
+
+  args.push('-filter_complex', chains.join(';'));
+  args.push('-map', '0:v', '-map', '[aout]');
+  args.push('-c:v', 'copy');
+  args.push(...codecArgs);
+  args.push('-t', videoDuration.toFixed(3));
+  args.push(...getRemuxArgs(format));
+  args.push(outputPath);
+
+  return args;
+}
+
+/**
+ * Describe audio streams for the metadata JSON
+ */
+function describeAudioTracks(tracks, format) {
+  return {
+    codec: getAudioCodecForOutput(format).codec,
+    streams: tracks.map(track => ({
+      source: track.source,
+      file: track.source === 'webaudio' ? undefined : track.path,
+      offset: track.offset,
+      trimStart: track.trimStart,
+      trimEnd: track.trimEnd,
+      fadeIn: track.fadeIn,
+      fadeOut: track.fadeOut,
+      volume: track.volume,
+      loop: track.loop
+    }))
+  };
+}
+
+module.exports = {
+  normalizeAudioTracks,
+  injectAudioRecorder,
+  collectPageAudio,
+  offsetAudioTracks,
+  getAudioMuxArgs,
+  getAudioCodecForOutput,
+  describeAudioTracks
+};
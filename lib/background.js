@@ -0,0 +1,134 @@
+/**
+ * Background compositing - what ends up behind the captured page
+ *
+ * Types:
+ *   transparent - page backgrounds are cleared and the output keeps alpha (default)
+ *   page        - the page's own background is captured as designed
+ *   color       - transparent frames composited over a solid colour
+ *   image/video - transparent frames composited over a file, scaled to the frame size
+ *                 (videos loop)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.bmp', '.gif', '.tif', '.tiff'];
+
+/**
+ * Normalize the background option
+ * @param {string|object} option - 'transparent', 'page', a colour, a file path,
+ *   or { type, color } / { type, path }
+ * @returns {object} { type, color, path }
+ */
+function resolveBackground(option) {
+  if (!option || option === 'transparent') {
+    return { type: 'transparent' };
+  }
+  if (option === 'page') {
+    return { type: 'page' };
+  }
+
+  if (typeof option === 'object') {
+    if (option.type === 'color') {
+      return resolveBackground(option.color);
+    }
+    if (option.type === 'image' || option.type === 'video') {
+      return { type: option.type, path: resolveFile(option.path) };
+    }
+    return resolveBackground(option.type);
+  }
+
+  const value = String(option).trim();
+  const filePath = path.resolve(process.cwd(), value);
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+    const type = IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) ? 'image' : 'video';
+    return { type, path: filePath };
+  }
+
+  // Hex colours or names FFmpeg knows, e.g. #1e1e2e, white, DarkSlateGray
+  if (/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) || /^[a-z]+$/i.test(value)) {
+    return { type: 'color', color: expandShortHex(value) };
+  }
+
+  throw new Error(`Invalid background: ${value}. Use transparent, page, a colour or an image/video file`);
+}
+
+function resolveFile(filePath) {
+  const resolved = path.resolve(process.cwd(), filePath || '');
+  if (!filePath || !fs.existsSync(resolved)) {
+    throw new Error(`Background file not found: ${filePath}`);
+  }
+  return resolved;
+}
+
+function expandShortHex(color) {
+  if (/^#[0-9a-f]{3}$/i.test(color)) {
+    return '#' + color.slice(1).split('').map(c => c + c).join('');
+  }
+  return color;
+}
+
+/**
+ * Whether frames are captured with a transparent page background
+ */
+function capturesTransparency(background) {
+  return background.type !== 'page';
+}
+
+/**
+ * Whether the encoded output keeps an alpha channel
+ */
+function keepsAlpha(background) {
+  return background.type === 'transparent';
+}
+
+/**
+ * Whether frames are composited over a second FFmpeg input
+ */
+function isComposited(background) {
+  return ['color', 'image', 'video'].includes(background.type);
+}
+
+/**
+ * FFmpeg input arguments for the background layer (input 1)
+ * @param {object} background - From resolveBackground
+ * @param {number} fps - Output frame rate
+ * @param {number} startTime - Seconds into the video this encode starts, for segments
+ */
+function getBackgroundInputArgs(background, fps, startTime = 0) {
+  switch (background.type) {
+    case 'color':
+      return ['-f', 'lavfi', '-i', `color=c=${background.color}:r=${fps}`];
+    case 'image':
+      return ['-loop', '1', '-framerate', fps.toString(), '-i', background.path];
+    case 'video': {
+      const args = ['-stream_loop', '-1'];
+      if (startTime > 0) {
+        args.push('-ss', startTime.toFixed(3));
+      }
+      return args.concat(['-i', background.path]);
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Describe the background for the metadata JSON
+ */
+function describeBackground(background) {
+  return {
+    type: background.type,
+    color: background.color,
+    file: background.path
+  };
+}
+
+module.exports = {
+  resolveBackground,
+  capturesTransparency,
+  keepsAlpha,
+  isComposited,
+  getBackgroundInputArgs,
+  describeBackground
+};
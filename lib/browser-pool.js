@@ -0,0 +1,331 @@
+/**
+ * Browser pool - keeps warm Chromium instances alive across capture jobs
+ * Each job gets its own isolated browser context with virtual time injected
+ */
+
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const { overwriteTime } = require('./virtual-time');
+const { settleWithin } = require('./cancellation');
+
+// How long closing a page or browser may take before its process is killed
+const CLOSE_TIMEOUT = 10000;
+
+/**
+ * Close a browser, killing its process when it doesn't answer
+ */
+async function closeBrowser(browser) {
+  const closed = await settleWithin(browser.close(), CLOSE_TIMEOUT);
+  if (!closed && browser.process()) {
+    browser.process().kill('SIGKILL');
+  }
+}
+
+/**
+ * Default Chromium launch options tuned for frame capture
+ */
+function getLaunchOptions(extraArgs = []) {
+  const launchOptions = {
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-renderer-backgrounding',
+      '--high-dpi-support=1',
+      '--force-device-scale-factor=1',
+      '--autoplay-policy=no-user-gesture-required',
+      ...extraArgs
+    ]
+  };
+
+  // Use Chrome if available on macOS
+  if (process.platform === 'darwin' && fs.existsSync('/Applications/Google Chrome.app')) {
+    launchOptions.executablePath = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+  }
+
+  return launchOptions;
+}
+
+/**
+ * Extra flags for deterministic HeadlessExperimental.beginFrame capture
+ */
+const BEGIN_FRAME_ARGS = [
+  '--deterministic-mode',
+  '--enable-begin-frame-control',
+  '--disable-new-content-rendering-timeout',
+  '--run-all-compositor-stages-before-draw',
+  '--disable-threaded-animation',
+  '--disable-threaded-scrolling',
+  '--disable-checker-imaging'
+];
+
+/**
+ * Create a pool of reusable browsers
+ * @param {object} options - Pool options
+ * @param {number} options.browsers - Number of browser processes to keep alive
+ * @param {number} options.pagesPerBrowser - Concurrent jobs allowed per browser
+ * @param {number} options.maxJobsPerBrowser - Restart a browser after this many jobs (0 = never)
+ * @param {boolean} options.beginFrameControl - Launch headless shell with begin-frame control for the beginframe transport
+ * @param {object} options.launchOptions - Overrides for puppeteer.launch
+ * @returns {object} Pool with acquire(), stats() and close()
+ */
+function createBrowserPool(options = {}) {
+  const browserCount = Math.max(1, options.browsers || 1);
+  const pagesPerBrowser = Math.max(1, options.pagesPerBrowser || 2);
+  const maxJobsPerBrowser = options.maxJobsPerBrowser || 0;
+  const beginFrameControl = !!options.beginFrameControl;
+  const launchOptions = Object.assign(
+    beginFrameControl ? getLaunchOptions(BEGIN_FRAME_ARGS) : getLaunchOptions(),
+    // beginFrame is only implemented by the old headless mode
+    beginFrameControl ? { headless: 'shell' } : {},
+    options.launchOptions || {}
+  );
+
+  // One slot per browser process; browsers are launched lazily
+  const slots = Array.from({ length: browserCount }, (_, index) => ({
+    index,
+    browser: null,
+    launching: null,
+    activeJobs: 0,
+    totalJobs: 0,
+    retiring: false
+  }));
+
+  const waiters = [];
+  let closed = false;
+  let restarts = 0;
+
+  async function launchSlot(slot) {
+    if (!slot.launching) {
+      slot.launching = puppeteer.launch(launchOptions).then(browser => {
+        browser.on('disconnected', () => {
+          // Crashed or closed - the next job on this slot relaunches it
+          if (slot.browser === browser) {
+            slot.browser = null;
+            if (!closed) {
+              restarts++;
+            }
+          }
+        });
+        slot.browser = browser;
+        slot.totalJobs = 0;
+        slot.retiring = false;
+        return browser;
+      }).finally(() => {
+        slot.launching = null;
+      });
+    }
+    return slot.launching;
+  }
+
+  async function getBrowser(slot) {
+    if (slot.browser && slot.browser.connected) {
+      return slot.browser;
+    }
+    return launchSlot(slot);
+  }
+
+  function findFreeSlot() {
+    // Prefer the least busy browser that is not being recycled
+    let best = null;
+    for (const slot of slots) {
+      if (slot.retiring || slot.activeJobs >= pagesPerBrowser) {
+        continue;
+      }
+      if (!best || slot.activeJobs < best.activeJobs) {
+        best = slot;
+      }
+    }
+    return best;
+  }
+
+  function reserveSlot() {
+    if (closed) {
+      return Promise.reject(new Error('Browser pool is closed'));
+    }
+
+    const slot = findFreeSlot();
+    if (slot) {
+      slot.activeJobs++;
+      return Promise.resolve(slot);
+    }
+
+    return new Promise((resolve, reject) => {
+      waiters.push({ resolve, reject });
+    });
+  }
+
+  function releaseSlot(slot) {
+    slot.activeJobs--;
+    slot.totalJobs++;
+
+    if (maxJobsPerBrowser && slot.totalJobs >= maxJobsPerBrowser) {
+      slot.retiring = true;
+    }
+
+    // Recycle the browser once its last job has finished. One that already
+    // disconnected is gone, so the slot just launches afresh next time.
+    if (slot.retiring && slot.activeJobs === 0) {
+      const browser = slot.browser;
+      slot.browser = null;
+      slot.retiring = false;
+      slot.totalJobs = 0;
+      if (browser) {
+        closeBrowser(browser);
+      }
+    }
+
+    while (waiters.length > 0) {
+      const next = findFreeSlot();
+      if (!next) {
+        break;
+      }
+      next.activeJobs++;
+      waiters.shift().resolve(next);
+    }
+  }
+
+  async function newPage(browser, context) {
+    if (!beginFrameControl) {
+      return context.newPage();
+    }
+
+    // Pages only accept beginFrame when their target was created for it
+    const marker = `about:blank#html2video-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const session = await browser.target().createCDPSession();
+    try {
+      await session.send('Target.createTarget', {
+        url: marker,
+        browserContextId: context.id,
+        enableBeginFrameControl: true
+      });
+    } finally {
+      await session.detach().catch(() => {});
+    }
+
+    const target = await browser.waitForTarget(t => t.url() === marker, { timeout: 10000 });
+    return target.page();
+  }
+
+  /**
+   * Get an isolated page for one job
+   * @param {object} pageOptions - Viewport settings (width, height, deviceScaleFactor), plus seed/clockStart for the determinism layer
+   * @returns {Promise<object>} Lease with page, context and release()
+   */
+  async function acquire(pageOptions = {}) {
+    const slot = await reserveSlot();
+
+    let context = null;
+    try {
+      let browser = await getBrowser(slot);
+      try {
+        context = await browser.createBrowserContext();
+      } catch (error) {
+        // Browser died between jobs - restart it once
+        slot.browser = null;
+        browser = await launchSlot(slot);
+        context = await browser.createBrowserContext();
+      }
+
+      const page = await newPage(browser, context);
+
+      await page.setViewport({
+        width: pageOptions.width || 1920,
+        height: pageOptions.height || 1080,
+        deviceScaleFactor: pageOptions.deviceScaleFactor || 1
+      });
+
+      // Inject virtual time control before navigation
+      await overwriteTime(page, { seed: pageOptions.seed, clockStart: pageOptions.clockStart });
+
+      let crashed = false;
+      page.on('error', () => {
+        crashed = true;
+      });
+
+      let released = false;
+      /**
+       * Close the page's context and free the slot
+       * @param {object} releaseOptions - { retire } recycle the browser too, after
+       *   a job was torn down mid-frame
+       */
+      const release = async (releaseOptions = {}) => {
+        if (released) {
+          return;
+        }
+        released = true;
+
+        if (crashed || releaseOptions.retire) {
+          slot.retiring = true;
+        }
+
+        // A hung renderer can keep the context from closing - the browser is killed instead
+        if (!await settleWithin(context.close(), CLOSE_TIMEOUT)) {
+          slot.retiring = true;
+          if (browser.process()) {
+            browser.process().kill('SIGKILL');
+          }
+        }
+        releaseSlot(slot);
+      };
+
+      return { page, context, release };
+
+    } catch (error) {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      releaseSlot(slot);
+      throw error;
+    }
+  }
+
+  /**
+   * Launch all browsers up front so the first jobs don't pay for startup
+   */
+  async function warmUp() {
+    await Promise.all(slots.map(slot => getBrowser(slot)));
+  }
+
+  function stats() {
+    return {
+      browsers: slots.filter(slot => slot.browser).length,
+      activeJobs: slots.reduce((sum, slot) => sum + slot.activeJobs, 0),
+      waiting: waiters.length,
+      capacity: browserCount * pagesPerBrowser,
+      restarts
+    };
+  }
+
+  async function close() {
+    closed = true;
+
+    while (waiters.length > 0) {
+      waiters.shift().reject(new Error('Browser pool is closed'));
+    }
+
+    await Promise.all(slots.map(async slot => {
+      const browser = slot.browser || (slot.launching && await slot.launching.catch(() => null));
+      slot.browser = null;
+      if (browser) {
+        await closeBrowser(browser);
+      }
+    }));
+  }
+
+  return {
+    acquire,
+    warmUp,
+    stats,
+    close,
+    beginFrameControl
+  };
+}
+
+module.exports = {
+  createBrowserPool,
+  getLaunchOptions
+};
@@ -0,0 +1,129 @@
+/**
+ * Cancellation and timeouts for a capture job
+ *
+ * Every wait on Chromium or FFmpeg goes through guard(), so a page.evaluate
+ * that never resolves or an FFmpeg that stops reading can't hang the job.
+ * The reason ends up on the error (error.reason) and in the job.failed webhook:
+ *   cancelled     - the caller's AbortSignal fired (Ctrl+C in the CLI)
+ *   timeout       - the whole job ran longer than timeout
+ *   frame-timeout - one frame took longer than frameTimeout
+ */
+
+const DEFAULT_FRAME_TIMEOUT = 30000;
+
+function createAbortError(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Create the abort state of one job
+ * @param {object} options - { signal, timeout } AbortSignal from the caller and
+ *   the longest the whole job may take, in ms
+ * @returns {object} { signal, aborted, error, abort(error), check(), guard(promise, timeout, label), dispose() }
+ */
+function createJobAbort(options = {}) {
+  const controller = new AbortController();
+  let error = null;
+  let rejectAborted;
+  const abortedPromise = new Promise((resolve, reject) => {
+    rejectAborted = reject;
+  });
+  abortedPromise.catch(() => {});
+
+  const abort = (reason) => {
+    if (error) {
+      return;
+    }
+    error = reason;
+    rejectAborted(reason);
+    controller.abort(reason);
+  };
+
+  const onSignal = () => abort(createAbortError('cancelled', 'Render cancelled'));
+  if (options.signal) {
+    if (options.signal.aborted) {
+      onSignal();
+    } else {
+      options.signal.addEventListener('abort', onSignal, { once: true });
+    }
+  }
+
+  const timer = options.timeout > 0 ?
+    setTimeout(() => abort(createAbortError('timeout', `Render timed out after ${options.timeout / 1000}s`)), options.timeout) :
+    null;
+  // A job that fails before it's disposed mustn't keep the process alive
+  if (timer) {
+    timer.unref();
+  }
+
+  return {
+    // Aborted along with the job, for FFmpeg processes
+    signal: controller.signal,
+
+    get aborted() {
+      return error !== null;
+    },
+
+    get error() {
+      return error;
+    },
+
+    abort,
+
+    check() {
+      if (error) {
+        throw error;
+      }
+    },
+
+    /**
+     * Wait for a promise, giving up as soon as the job is aborted. Running past
+     * the timeout aborts the whole job, since whatever hung has to be torn down.
+     * @param {Promise} promise
+     * @param {number} timeout - ms, 0 or unset for no limit of its own
+     * @param {string} label - What was waited on, for the timeout message
+     */
+    async guard(promise, timeout, label) {
+      let frameTimer = null;
+      if (timeout > 0) {
+        frameTimer = setTimeout(() => {
+          abort(createAbortError('frame-timeout', `${label} took longer than ${timeout}ms`));
+        }, timeout);
+      }
+      try {
+        return await Promise.race([promise, abortedPromise]);
+      } finally {
+        clearTimeout(frameTimer);
+      }
+    },
+
+    dispose() {
+      clearTimeout(timer);
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onSignal);
+      }
+    }
+  };
+}
+
+/**
+ * Wait for a promise to settle, for at most ms
+ * @returns {Promise<boolean>} Whether it resolved in time
+ */
+function settleWithin(promise, ms) {
+  let timer = null;
+  return Promise.race([
+    promise.then(() => true, () => false),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  DEFAULT_FRAME_TIMEOUT,
+  createJobAbort,
+  settleWithin
+};
@@ -0,0 +1,139 @@
+/**
+ * Checkpointing - remember which frame ranges of a long render are finished
+ * so an interrupted run can resume instead of starting over
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'checkpoint.json';
+
+/**
+ * Split [startFrame, endFrame) into pieces of at most chunkFrames frames
+ */
+function splitIntoChunks(startFrame, endFrame, chunkFrames) {
+  const chunks = [];
+  for (let start = startFrame; start < endFrame; start += chunkFrames) {
+    chunks.push({ start, end: Math.min(start + chunkFrames, endFrame) });
+  }
+  return chunks;
+}
+
+/**
+ * Open the checkpoint in a work directory
+ * @param {string} workDir - Directory holding finished pieces and the manifest
+ * @param {object} settings - Render settings that must match for a resume
+ * @param {object} options - { resume, sequence, log }
+ *   sequence - pieces write straight into the final image sequence, so there
+ *              are no piece files to verify or clean up
+ * @returns {object} Checkpoint with isComplete(), complete(), setPageAudio() and remove()
+ */
+function openCheckpoint(workDir, settings, options = {}) {
+  const log = options.log || (() => {});
+  const manifestPath = path.join(workDir, MANIFEST_FILE);
+  let previous = null;
+
+  if (fs.existsSync(manifestPath)) {
+    previous = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  let manifest;
+  if (options.resume && previous) {
+    if (JSON.stringify(previous.settings) !== JSON.stringify(settings)) {
+      throw new Error(`Checkpoint in ${workDir} was written with different settings - run without resume to start over`);
+    }
+    manifest = previous;
+    // A piece only counts if its file survived as well
+    manifest.ranges = manifest.ranges.filter(range => options.sequence || fs.existsSync(range.output));
+  } else {
+    if (options.resume) {
+      log(`No checkpoint found in ${workDir} - starting from the first frame`);
+    }
+    if (previous) {
+      removeFiles(previous.ranges, options.sequence);
+    }
+    manifest = { settings, ranges: [], pageAudio: null };
+  }
+
+  fs.mkdirSync(workDir, { recursive: true });
+
+  function save() {
+    manifest.updatedAt = new Date().toISOString();
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  save();
+
+  function find(range) {
+    return manifest.ranges.find(done => done.start === range.start && done.end === range.end);
+  }
+
+  return {
+    workDir,
+
+    get completedFrames() {
+      return manifest.ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+    },
+
+    get pageAudio() {
+      return manifest.pageAudio;
+    },
+
+    /**
+     * Whether a piece finished in this or an earlier run; fills in its output path
+     */
+    isComplete(range) {
+      const done = find(range);
+      if (done) {
+        range.output = done.output;
+      }
+      return !!done;
+    },
+
+    /**
+     * Record a finished piece
+     */
+    complete(range) {
+      if (!find(range)) {
+        manifest.ranges.push({ start: range.start, end: range.end, output: range.output });
+        manifest.ranges.sort((a, b) => a.start - b.start);
+      }
+      save();
+    },
+
+    /**
+     * Keep the page audio collected from the timeline for a later resume
+     */
+    setPageAudio(tracks) {
+      manifest.pageAudio = tracks;
+      save();
+    },
+
+    /**
+     * Delete the pieces and manifest once the final output is assembled
+     */
+    remove() {
+      removeFiles(manifest.ranges, options.sequence);
+      fs.rmSync(manifestPath, { force: true });
+      try {
+        fs.rmdirSync(workDir);
+      } catch (error) {
+        // Leave directories that hold anything we didn't write
+      }
+    }
+  };
+}
+
+function removeFiles(ranges, sequence) {
+  if (sequence) {
+    return;
+  }
+  ranges.forEach(range => {
+    fs.rmSync(range.output, { force: true });
+  });
+}
+
+module.exports = {
+  openCheckpoint,
+  splitIntoChunks
+};
@@ -0,0 +1,139 @@
+/**
+ * Automatic duration - work out how long the page's animation runs
+ *
+ * Sources, in order of preference:
+ *   hint       - window.__html2video.duration, or <meta name="html2video:duration" content="4.5s">
+ *   animations - effect end times from document.getAnimations() (Web Animations,
+ *                CSS animations and running transitions)
+ *   css        - animation/transition delays and durations declared in computed styles
+ *
+ * Animations that repeat forever have no end, so the cap is used when nothing else is found.
+ */
+
+const DEFAULT_MAX_DURATION = 60;
+
+/**
+ * Parse a duration hint: a number of seconds, or a string such as "4.5s" or "4500ms"
+ * @returns {number|null} Seconds
+ */
+function parseDurationHint(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const match = String(value).trim().match(/^(\d*\.?\d+)\s*(ms|s)?$/i);
+  if (!match) {
+    throw new Error(`Invalid duration hint: ${value}. Use seconds, e.g. 4.5 or "4.5s", or "4500ms"`);
+  }
+  const amount = parseFloat(match[1]);
+  return match[2] && match[2].toLowerCase() === 'ms' ? amount / 1000 : amount;
+}
+
+/**
+ * Page script that collects the duration sources, in milliseconds
+ */
+function measurePage() {
+  const parseTimes = (list) => list.split(',').map(value => {
+    value = value.trim();
+    return value.endsWith('ms') ? parseFloat(value) : parseFloat(value) * 1000;
+  });
+
+  const meta = document.querySelector('meta[name="html2video:duration"]');
+  const context = window.__html2video || {};
+  const result = {
+    hint: context.duration !== undefined ? context.duration : (meta ? meta.getAttribute('content') : null),
+    animations: null,
+    css: null,
+    infinite: false
+  };
+
+  if (document.getAnimations) {
+    document.getAnimations().forEach(animation => {
+      const timing = animation.effect && animation.effect.getComputedTiming();
+      if (!timing) {
+        return;
+      }
+      if (!isFinite(timing.endTime)) {
+        result.infinite = true;
+        return;
+      }
+      // Time left from the current position, at the animation's playback rate
+      const remaining = (timing.endTime - (timing.localTime || 0)) / Math.abs(animation.playbackRate || 1);
+      result.animations = Math.max(result.animations || 0, remaining);
+    });
+  }
+
+  document.querySelectorAll('*').forEach(element => {
+    const style = getComputedStyle(element);
+
+    if (style.animationName && style.animationName !== 'none') {
+      const names = style.animationName.split(',');
+      const durations = parseTimes(style.animationDuration);
+      const delays = parseTimes(style.animationDelay);
+      const counts = style.animationIterationCount.split(',');
+      names.forEach((name, index) => {
+        if (name.trim() === 'none') {
+          return;
+        }
+        const count = counts[index % counts.length].trim();
+        if (count === 'infinite') {
+          result.infinite = true;
+          return;
+        }
+        const end = delays[index % delays.length] + durations[index % durations.length] * parseFloat(count);
+        result.css = Math.max(result.css || 0, end);
+      });
+    }
+
+    const transitions = parseTimes(style.transitionDuration);
+    const transitionDelays = parseTimes(style.transitionDelay);
+    transitions.forEach((duration, index) => {
+      if (duration > 0) {
+        result.css = Math.max(result.css || 0, transitionDelays[index % transitionDelays.length] + duration);
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Detect the animation duration of a loaded page
+ * @param {object} page - Puppeteer page, loaded and ready, at virtual time 0
+ * @param {object} options - { maxDuration } cap in seconds
+ * @returns {Promise<object>} { duration, source, detected, capped } in seconds
+ */
+async function detectDuration(page, options = {}) {
+  const maxDuration = options.maxDuration || DEFAULT_MAX_DURATION;
+  const measured = await page.evaluate(measurePage);
+
+  let detected = parseDurationHint(measured.hint);
+  let source = 'hint';
+
+  if (detected === null) {
+    const animations = measured.animations || 0;
+    const css = measured.css || 0;
+    if (animations > 0 || css > 0) {
+      detected = Math.max(animations, css) / 1000;
+      source = animations >= css ? 'animations' : 'css';
+    } else if (measured.infinite) {
+      detected = Infinity;
+      source = 'infinite';
+    } else {
+      throw new Error('Could not detect the animation duration - set a duration, or add a <meta name="html2video:duration"> hint');
+    }
+  }
+
+  return {
+    duration: Math.min(detected, maxDuration),
+    source,
+    detected: isFinite(detected) ? detected : null,
+    capped: detected > maxDuration
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_DURATION,
+  parseDurationHint,
+  detectDuration
+};
@@ -0,0 +1,84 @@
+/**
+ * FFmpeg process helpers
+ */
+
+const { spawn } = require('child_process');
+
+/**
+ * Spawn an FFmpeg process that reads frames from stdin
+ * @param {string[]} args - FFmpeg arguments
+ * @param {object} options - { verbose, signal } verbose echoes FFmpeg's stderr;
+ *   the process is killed when signal aborts
+ * @returns {object} { process, done, getError }
+ */
+function spawnEncoder(args, options = {}) {
+  const ffmpeg = spawn('ffmpeg', args, options.signal ? { signal: options.signal, killSignal: 'SIGKILL' } : {});
+  let ffmpegError = null;
+
+  ffmpeg.stderr.on('data', (data) => {
+    if (options.verbose) {
+      process.stderr.write(data.toString());
+    }
+  });
+
+  ffmpeg.on('error', (err) => {
+    ffmpegError = err;
+  });
+
+  // Writing after FFmpeg exits raises EPIPE - surface the exit code instead
+  ffmpeg.stdin.on('error', (err) => {
+    ffmpegError = ffmpegError || err;
+  });
+
+  const done = new Promise((resolve, reject) => {
+    ffmpeg.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(ffmpegError || new Error(`FFmpeg exited with code ${code}`));
+      }
+    });
+  });
+
+  // Avoid unhandled rejections when the caller fails before awaiting
+  done.catch(() => {});
+
+  return {
+    process: ffmpeg,
+    done,
+    getError: () => ffmpegError
+  };
+}
+
+/**
+ * Write one frame to an encoder, waiting for the pipe to drain when full
+ */
+async function writeFrame(encoder, buffer) {
+  const error = encoder.getError();
+  if (error) {
+    throw error;
+  }
+
+  if (!encoder.process.stdin.write(buffer)) {
+    // Handle backpressure
+    await new Promise(resolve => encoder.process.stdin.once('drain', resolve));
+  }
+}
+
+/**
+ * Run a one-shot FFmpeg command to completion
+ * @param {string[]} args - FFmpeg arguments
+ * @param {object} options - { verbose, signal }
+ * @returns {Promise<void>}
+ */
+function runFFmpeg(args, options = {}) {
+  const encoder = spawnEncoder(args, options);
+  encoder.process.stdin.end();
+  return encoder.done;
+}
+
+module.exports = {
+  spawnEncoder,
+  writeFrame,
+  runFFmpeg
+};
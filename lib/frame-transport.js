@@ -0,0 +1,249 @@
+/**
+ * Frame transports - how a frame gets from Chromium to FFmpeg
+ *
+ * Capture methods:
+ *   screenshot - puppeteer page.screenshot (default)
+ *   cdp        - Page.captureScreenshot over a raw CDP session
+ *   beginframe - HeadlessExperimental.beginFrame, full viewport only, so clips are
+ *                ignored (needs begin-frame control, see browser-pool)
+ *
+ * Pipe formats:
+ *   png, jpeg, webp - encoded images through image2pipe
+ *   raw             - PNG decoded in Node and piped as RGBA rawvideo. Chromium still
+ *                     encodes each frame, and the decode runs on the main thread, so
+ *                     raw is slower than png; it's for frames Node works on (motion blur)
+ */
+
+const { PNG } = require('pngjs');
+
+const FRAME_TRANSPORTS = ['screenshot', 'cdp', 'beginframe'];
+const FRAME_FORMATS = ['png', 'jpeg', 'webp', 'raw'];
+
+// File extension of the captured image for each pipe format; raw frames are captured as PNG
+const IMAGE_EXTENSIONS = { png: '.png', raw: '.png', jpeg: '.jpg', webp: '.webp' };
+
+/**
+ * FFmpeg input arguments for each pipe format
+ * @param {string} format - One of FRAME_FORMATS
+ * @param {number} fps - Input frame rate
+ * @param {object} size - { width, height }, required for raw
+ */
+function getFrameInputArgs(format, fps, size = {}) {
+  switch (format) {
+    case 'raw':
+      if (!size.width || !size.height) {
+        throw new Error('Raw frame input needs exact frame dimensions');
+      }
+      return [
+        '-f', 'rawvideo',
+        '-pix_fmt', 'rgba',
+        '-s', `${size.width}x${size.height}`,
+        '-framerate', fps.toString(),
+        '-i', '-'
+      ];
+    case 'jpeg':
+      return ['-f', 'image2pipe', '-c:v', 'mjpeg', '-framerate', fps.toString(), '-i', '-'];
+    case 'webp':
+      return ['-f', 'image2pipe', '-c:v', 'webp', '-framerate', fps.toString(), '-i', '-'];
+    default:
+      return ['-f', 'image2pipe', '-framerate', fps.toString(), '-i', '-'];
+  }
+}
+
+/**
+ * Round a clip to whole pixels, optionally pinning its size
+ * @param {object} size - Frame size in device pixels
+ * @param {number} scale - Device pixels per CSS pixel
+ */
+function roundClip(clip, size, scale) {
+  if (!clip) {
+    return null;
+  }
+  return {
+    x: Math.round(clip.x),
+    y: Math.round(clip.y),
+    width: size ? size.width / scale : Math.round(clip.width),
+    height: size ? size.height / scale : Math.round(clip.height)
+  };
+}
+
+/**
+ * Create a frame transport for a page
+ * @param {object} page - Puppeteer page
+ * @param {object} options - { method, format, quality, scale, transparent, log }
+ *   scale       - the page's deviceScaleFactor; frames are that many times the clip size
+ *   transparent - hide the default white page background (default true)
+ * @returns {Promise<object>} Transport with capture(clip) and stats()
+ */
+async function createFrameTransport(page, options = {}) {
+  let method = options.method || 'screenshot';
+  const format = options.format || 'png';
+  const quality = options.quality || 90;
+  const scale = options.scale || 1;
+  const transparent = options.transparent !== false;
+  const log = options.log || (() => {});
+
+  if (!FRAME_TRANSPORTS.includes(method)) {
+    throw new Error(`Unknown frame transport: ${method}. Use ${FRAME_TRANSPORTS.join(', ')}`);
+  }
+  if (!FRAME_FORMATS.includes(format)) {
+    throw new Error(`Unknown frame format: ${format}. Use ${FRAME_FORMATS.join(', ')}`);
+  }
+
+  // Raw frames are captured as PNG and decoded here
+  const imageFormat = format === 'raw' ? 'png' : format;
+  const lossy = imageFormat !== 'png';
+
+  let session = null;
+  if (method !== 'screenshot') {
+    session = await page.createCDPSession();
+    if (transparent) {
+      // Same effect as omitBackground, set once instead of per frame
+      await session.send('Emulation.setDefaultBackgroundColorOverride', {
+        color: { r: 0, g: 0, b: 0, a: 0 }
+      });
+    }
+  }
+
+  // Raw frames must all be the same size, fixed by the first frame
+  let frameSize = null;
+  let previousFrame = null;
+  let previousDecoded = null;
+  let frames = 0;
+  let captureTimeNs = 0n;
+
+  async function grab(clip) {
+    if (method === 'beginframe') {
+      try {
+        const result = await session.send('HeadlessExperimental.beginFrame', {
+          screenshot: { format: imageFormat, quality: lossy ? quality : undefined, optimizeForSpeed: true }
+        });
+        // No damage means nothing was painted - the previous frame is still current
+        if (!result.screenshotData && previousFrame) {
+          return previousFrame;
+        }
+        if (result.screenshotData) {
+          return Buffer.from(result.screenshotData, 'base64');
+        }
+        // Nothing painted yet and no earlier frame to repeat
+        log('beginFrame returned no image for the first frame, falling back to CDP screenshots');
+      } catch (error) {
+        log(`beginFrame unavailable (${error.message}), falling back to CDP screenshots`);
+      }
+      method = 'cdp';
+    }
+
+    if (method === 'cdp') {
+      const params = {
+        format: imageFormat,
+        optimizeForSpeed: true,
+        captureBeyondViewport: false
+      };
+      if (lossy) {
+        params.quality = quality;
+      }
+      if (clip) {
+        params.clip = Object.assign({ scale: 1 }, clip);
+      }
+      const result = await session.send('Page.captureScreenshot', params);
+      return Buffer.from(result.data, 'base64');
+    }
+
+    return page.screenshot({
+      type: imageFormat,
+      quality: lossy ? quality : undefined,
+      omitBackground: transparent,
+      optimizeForSpeed: true,
+      clip: clip || undefined
+    });
+  }
+
+  /**
+   * Capture one frame
+   * @param {object|null} clip - Capture area in CSS pixels
+   * @returns {Promise<object>} { buffer, width, height, image, duplicate }
+   *   image is the encoded capture (the PNG behind a raw frame) and duplicate
+   *   is set when it's identical to the previous capture
+   */
+  async function capture(clip) {
+    const start = process.hrtime.bigint();
+
+    const image = await grab(format === 'raw' ? roundClip(clip, frameSize, scale) : clip);
+    const duplicate = !!previousFrame && (image === previousFrame || image.equals(previousFrame));
+    previousFrame = image;
+
+    let frame = { buffer: image, width: null, height: null, image, duplicate };
+
+    if (format === 'raw' && duplicate) {
+      // Same pixels as last time, so skip decoding them again
+      frame = Object.assign({}, previousDecoded, { image, duplicate });
+    } else if (format === 'raw') {
+      const png = PNG.sync.read(image);
+      if (!frameSize) {
+        frameSize = { width: png.width, height: png.height };
+      } else if (png.width !== frameSize.width || png.height !== frameSize.height) {
+        throw new Error(`Frame size changed from ${frameSize.width}x${frameSize.height} to ${png.width}x${png.height}; raw frames need a fixed capture area`);
+      }
+      frame = { buffer: png.data, width: png.width, height: png.height, image, duplicate };
+      previousDecoded = frame;
+    }
+
+    captureTimeNs += process.hrtime.bigint() - start;
+    frames++;
+
+    return frame;
+  }
+
+  function stats() {
+    const totalMs = Number(captureTimeNs) / 1e6;
+    return {
+      method,
+      format,
+      frames,
+      totalCaptureMs: totalMs,
+      averageCaptureMs: frames > 0 ? totalMs / frames : 0
+    };
+  }
+
+  async function dispose() {
+    if (session) {
+      await session.detach().catch(() => {});
+      session = null;
+    }
+  }
+
+  return {
+    get method() {
+      return method;
+    },
+    format,
+    capture,
+    stats,
+    dispose
+  };
+}
+
+/**
+ * The encoded image of a captured frame, for saving to a file. Frames that
+ * only exist as RGBA (motion blur averages) are encoded as PNG.
+ * @param {object} frame - From capture()
+ * @param {string} format - The transport's pipe format
+ * @returns {object} { image, extension }
+ */
+function getFrameImage(frame, format) {
+  if (frame.image) {
+    return { image: frame.image, extension: IMAGE_EXTENSIONS[format] || '.png' };
+  }
+
+  const png = new PNG({ width: frame.width, height: frame.height });
+  frame.buffer.copy(png.data);
+  return { image: PNG.sync.write(png), extension: '.png' };
+}
+
+module.exports = {
+  createFrameTransport,
+  getFrameImage,
+  getFrameInputArgs,
+  FRAME_TRANSPORTS,
+  FRAME_FORMATS
+};
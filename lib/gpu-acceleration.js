@@ -4,6 +4,11 @@
  */
 
 const { spawn } = require('child_process');
+const path = require('path');
+const { getFrameInputArgs } = require('./frame-transport');
+const { OUTPUT_FORMATS, getEncoderArgs, getSequencePattern } = require('./output-formats');
+const { keepsAlpha, isComposited, getBackgroundInputArgs } = require('./background');
+const { getVfrInputArgs } = require('./vfr');
 
 /**
  * Hardware acceleration profiles for different GPU vendors
@@ -200,64 +205,130 @@ function testHardwareEncoder(encoder) {
 }
 
 /**
- * Generate optimized FFmpeg arguments for HTML-to-video generation (WebM VP9)
+ * Generate optimized FFmpeg arguments for HTML-to-video generation (WebM VP9 by default)
+ * @param {object} options - { input: { format, width, height, list, file }, format, background, startTime, filters, startNumber,
+ *   stream, segmentDuration, rateControl, pass }
+ *   input is the frame pipe format ('png'|'jpeg'|'webp'|'raw'), a variable frame rate list or a two-pass intermediate file,
+ *   format the output format key, background from resolveBackground and startTime the video time this encode starts at;
+ *   stream when outputPath is a pipe; rateControl from resolveRateControl and pass { number, logFile } of a two-pass encode
  */
-function getOptimizedGenerationArgs(outputPath, fps, width, height, pixelFormat = 'yuva420p', quality = 23, accelerationMethod = null) {
+function getOptimizedGenerationArgs(outputPath, fps, width, height, pixelFormat = null, quality = 23, accelerationMethod = null, options = {}) {
   const args = ['-y']; // Overwrite output files
+  const input = options.input || {};
+  const format = options.format || 'webm';
+  const definition = OUTPUT_FORMATS[format];
 
   // Auto-detect best acceleration if not specified
   if (!accelerationMethod) {
     accelerationMethod = detectedCapabilities?.recommended || 'cpu';
   }
 
-  // Input settings for image2pipe (from Puppeteer screenshots)
-  args.push('-f', 'image2pipe');
-  args.push('-framerate', fps.toString());
-  args.push('-i', '-'); // Read from stdin
+  const profile = accelerationMethod !== 'cpu' && accelerationMethod !== 'auto' ?
+    ACCELERATION_PROFILES[accelerationMethod] : null;
+
+  // Input settings matching the frame transport (image2pipe or rawvideo from stdin),
+  // or changed frames with their durations for variable frame rate output
+  if (input.list) {
+    args.push(...getVfrInputArgs(input.list));
+  } else if (input.file) {
+    // The lossless intermediate of a two-pass encode
+    args.push('-i', input.file);
+  } else {
+    args.push(...getFrameInputArgs(input.format || 'png', fps, {
+      width: input.width || width,
+      height: input.height || height
+    }));
+  }
+
+  const background = options.background || { type: 'transparent' };
+  // The intermediate keeps the alpha channel; the final encode composites
+  const composited = isComposited(background) && !definition.internal;
+  if (composited) {
+    args.push(...getBackgroundInputArgs(background, fps, options.startTime));
+  }
 
   // For WebM VP9 generation with transparency, GPU acceleration is limited
   // Most hardware encoders don't support VP9 with alpha channel
   // We'll use GPU-accelerated preprocessing when possible, but stick with VP9 for transparency
   
-  if (accelerationMethod !== 'cpu' && accelerationMethod !== 'auto') {
-    const profile = ACCELERATION_PROFILES[accelerationMethod];
+  if (format === 'webm' && profile && profile.hwaccel) {
+    // Use hardware acceleration for decoding/preprocessing only
+    // Still use software VP9 encoding for transparency support
+    args.push('-hwaccel', profile.hwaccel);
     
-    if (profile && profile.hwaccel) {
-      // Use hardware acceleration for decoding/preprocessing only
-      // Still use software VP9 encoding for transparency support
-      args.push('-hwaccel', profile.hwaccel);
-      
-      // Optimize threading for GPU-assisted processing
-      args.push('-threads', '0'); // Use all available CPU cores
-    }
+    // Optimize threading for GPU-assisted processing
+    args.push('-threads', '0'); // Use all available CPU cores
+  }
+
+  // H.264 MP4 can use the hardware encoder directly; bitrate targets are set on the software encoder
+  const rateControl = options.rateControl || null;
+  const hardwareProfile = format === 'mp4' && profile && profile.encoder !== 'libx264' &&
+    (!rateControl || rateControl.mode === 'crf') ? profile : null;
+
+  const encoder = getEncoderArgs(format, {
+    quality,
+    rateControl,
+    pass: options.pass,
+    pixelFormat,
+    alpha: keepsAlpha(background),
+    background: composited,
+    fps,
+    hardwareProfile,
+    filters: options.filters,
+    startNumber: options.startNumber,
+    stream: options.stream,
+    segmentDuration: options.segmentDuration,
+    outputName: path.basename(outputPath, path.extname(outputPath))
+  });
+  args.push(...encoder.args);
+  if (input.list) {
+    // Keep the list's timestamps instead of duplicating frames back to a constant rate
+    args.push('-fps_mode', 'vfr');
   }
   
-  // CPU/Software encoding with VP9 (supports transparency)
-  args.push('-c:v', 'libvpx-vp9');
-  args.push('-pix_fmt', pixelFormat); // yuva420p for transparency
-  args.push('-crf', quality.toString());
-  args.push('-b:v', '0'); // Use CRF mode
-  args.push('-threads', '0'); // Use all available CPU cores
-  
-  // VP9 specific optimizations
-  args.push('-deadline', 'good'); // Balance speed vs quality
-  args.push('-cpu-used', '2'); // Faster encoding preset
-  
-  args.push(outputPath);
+  // The first pass of a two-pass encode has no output
+  if (options.pass && options.pass.number === 1) {
+    args.push('-');
+  } else {
+    args.push(definition.sequence ? getSequencePattern(outputPath) : outputPath);
+  }
 
   // Determine the profile name based on acceleration method
-  const profileName = accelerationMethod !== 'cpu' && accelerationMethod !== 'auto' 
-    ? `GPU-Accelerated VP9 (${ACCELERATION_PROFILES[accelerationMethod]?.name || 'Hardware'} preprocessing)`
-    : 'CPU VP9 (with transparency)';
+  let profileName;
+  if (format === 'webm') {
+    profileName = profile
+      ? `GPU-Accelerated VP9 (${profile.name || 'Hardware'} preprocessing)`
+      : (keepsAlpha(background) ? 'CPU VP9 (with transparency)' : 'CPU VP9');
+  } else {
+    profileName = hardwareProfile ? `${definition.name} via ${hardwareProfile.name}` : `CPU ${definition.name}`;
+  }
 
   return {
     args,
     profile: profileName,
     method: accelerationMethod || 'cpu',
+    codec: encoder.codec,
+    pixelFormat: encoder.pixelFormat,
     requiresConversion: false
   };
 }
 
+/**
+ * Generate FFmpeg arguments to join encoded segments without re-encoding
+ * @param {string} listPath - Concat demuxer list file ("file '<path>'" per line)
+ * @param {string} outputPath - Final output file
+ */
+function getConcatArgs(listPath, outputPath) {
+  return [
+    '-y',
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', listPath,
+    '-c', 'copy',
+    outputPath
+  ];
+}
+
 /**
  * Generate optimized FFmpeg arguments for conversion
  */
@@ -366,6 +437,7 @@ module.exports = {
   detectHardwareCapabilities,
   getOptimizedFFmpegArgs,
   getOptimizedGenerationArgs,
+  getConcatArgs,
   getPerformanceEstimate,
   initializeHardwareDetection,
   ACCELERATION_PROFILES,
@@ -0,0 +1,142 @@
+/**
+ * Layers - several elements of one page rendered to separate outputs in a
+ * single pass, for compositing later
+ *
+ * The timeline is moved once per frame and every layer is captured at that
+ * time. Each layer has its own frame transport, so unchanged frames and raw
+ * frame sizes are tracked per layer. A layer can switch on CSS while it's
+ * captured, e.g. to hide the layers in front of it; isolate hides everything
+ * outside the layer's element.
+ */
+
+const path = require('path');
+
+const LAYER_STYLE_ID = '__html2video-layer-style';
+
+/**
+ * Normalize the layers option
+ * @param {object[]|object} layers - [{ name, selector, css, isolate, output }], or
+ *   { name: selector } / { name: { selector, css, isolate, output } }
+ * @param {string} output - Job output path; layer outputs default to <base>.<name><ext>
+ * @param {string} extension - Used when the output path has none
+ * @returns {object[]|null} [{ name, selector, css, output }], null without layers
+ */
+function resolveLayers(layers, output, extension) {
+  if (!layers) {
+    return null;
+  }
+
+  const entries = Array.isArray(layers) ? layers :
+    Object.keys(layers).map(name => Object.assign({ name },
+      typeof layers[name] === 'string' ? { selector: layers[name] } : layers[name]));
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const outputExtension = path.extname(output) || extension;
+  const base = output.slice(0, output.length - path.extname(output).length);
+  const names = new Set();
+
+  return entries.map(layer => {
+    if (!layer.selector) {
+      throw new Error(`Layer ${layer.name || '(unnamed)'} needs a selector`);
+    }
+    if (!layer.name || !/^[\w-]+$/.test(layer.name)) {
+      throw new Error(`Invalid layer name ${JSON.stringify(layer.name)} for ${layer.selector}: use letters, digits, - and _`);
+    }
+    if (names.has(layer.name)) {
+      throw new Error(`Duplicate layer name: ${layer.name}`);
+    }
+    names.add(layer.name);
+
+    const css = [layer.isolate ? getIsolationCss(layer.selector) : null, layer.css || null]
+      .filter(Boolean).join('\n');
+    return {
+      name: layer.name,
+      selector: layer.selector,
+      css: css || null,
+      output: path.resolve(process.cwd(), layer.output || `${base}.${layer.name}${outputExtension}`)
+    };
+  });
+}
+
+/**
+ * CSS that hides everything but the element, without changing the layout
+ */
+function getIsolationCss(selector) {
+  return `body * { visibility: hidden !important; }\n` +
+    `:is(${selector}), :is(${selector}) * { visibility: visible !important; }`;
+}
+
+/**
+ * Check each layer's selector in the page before the first frame. The
+ * isolation CSS puts it inside :is(), where an invalid selector only drops
+ * the rule and the layer would render blank.
+ * @throws {Error} Naming the first layer whose selector the page rejects
+ */
+async function checkLayerSelectors(page, layers) {
+  const invalid = await page.evaluate((selectors) => selectors.findIndex(selector => {
+    try {
+      document.querySelector(selector);
+      document.querySelector(`:is(${selector})`);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  }), layers.map(layer => layer.selector));
+
+  if (invalid !== -1) {
+    const layer = layers[invalid];
+    throw new Error(`Invalid selector for layer ${layer.name}: ${layer.selector}`);
+  }
+}
+
+/**
+ * Switch the page to a layer's CSS and measure its element
+ * @param {object} layer - { selector, css }; css null removes the previous layer's CSS
+ * @returns {Promise<object|null>} Capture area in CSS pixels, null when the element is missing
+ */
+function getLayerArea(page, layer) {
+  return page.evaluate((selector, styleId, css) => {
+    let style = document.getElementById(styleId);
+    if (css && !style) {
+      style = document.createElement('style');
+      style.id = styleId;
+      document.head.appendChild(style);
+    }
+    if (style && style.textContent !== (css || '')) {
+      style.textContent = css || '';
+    }
+
+    const element = document.querySelector(selector);
+    if (!element) {
+      return null;
+    }
+    const rect = element.getBoundingClientRect();
+    return {
+      x: rect.left,
+      y: rect.top,
+      width: rect.width,
+      height: rect.height
+    };
+  }, layer.selector, LAYER_STYLE_ID, layer.css);
+}
+
+/**
+ * Remove the last layer's CSS, so the page runs without it between frames
+ */
+function clearLayerStyle(page) {
+  return page.evaluate((styleId) => {
+    const style = document.getElementById(styleId);
+    if (style) {
+      style.remove();
+    }
+  }, LAYER_STYLE_ID);
+}
+
+module.exports = {
+  resolveLayers,
+  checkLayerSelectors,
+  getLayerArea,
+  clearLayerStyle
+};
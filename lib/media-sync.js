@@ -0,0 +1,207 @@
+/**
+ * Media sync - keep embedded media and self-timed animation runtimes on
+ * virtual time. On every capture step the page is moved to the frame time and
+ * each adapter seeks what it drives before the frame is captured.
+ *
+ * Adapters:
+ *   video  - <video> elements: seek to the matching time and wait for seeked/decoded data
+ *   lottie - lottie-web animations (lottie.getRegisteredAnimations())
+ *   gsap   - the GSAP global timeline
+ *   waapi  - Web Animations API, document.getAnimations()
+ *
+ * Runtimes are driven relative to the virtual time at which they were first
+ * seen, so animations that start late keep their offset.
+ */
+
+const MEDIA_ADAPTERS = ['video', 'lottie', 'gsap', 'waapi'];
+
+/**
+ * Normalize the mediaSync option into a list of adapters
+ * @param {string|Array<string>|boolean} option - 'video,lottie', a list, true (all) or false/'none'
+ * @returns {Array<string>}
+ */
+function resolveMediaAdapters(option) {
+  if (option === undefined || option === null) {
+    return ['video'];
+  }
+  if (option === false || option === 'none') {
+    return [];
+  }
+  if (option === true || option === 'all') {
+    return MEDIA_ADAPTERS.slice();
+  }
+
+  const adapters = (Array.isArray(option) ? option : String(option).split(','))
+    .map(adapter => adapter.trim().toLowerCase())
+    .filter(Boolean);
+
+  adapters.forEach(adapter => {
+    if (!MEDIA_ADAPTERS.includes(adapter)) {
+      throw new Error(`Unknown media sync adapter: ${adapter}. Use ${MEDIA_ADAPTERS.join(', ')}`);
+    }
+  });
+
+  return adapters;
+}
+
+/**
+ * Page script that installs window.__html2videoMediaSync(ms)
+ */
+function installMediaSync(adapters, timeout) {
+  const enabled = new Set(adapters);
+  const videos = new WeakMap();
+  const animations = new WeakMap();
+  const lottieAnimations = new WeakMap();
+  let gsapOffset = null;
+
+  // Page timers are virtual, so waiting on real time needs timeweb's originals
+  function realSetTimeout(callback, ms) {
+    const realtime = window.timeweb && window.timeweb.realtime;
+    return realtime ? realtime.setTimeout(callback, ms) : setTimeout(callback, ms);
+  }
+
+  function withTimeout(promise) {
+    return Promise.race([
+      promise,
+      new Promise(resolve => realSetTimeout(resolve, timeout))
+    ]);
+  }
+
+  function waitForEvent(target, events) {
+    return new Promise(resolve => {
+      const done = () => {
+        events.forEach(event => target.removeEventListener(event, done));
+        resolve();
+      };
+      events.forEach(event => target.addEventListener(event, done));
+    });
+  }
+
+  // Videos timeweb doesn't manage (e.g. created with timeweb.realtime) are driven here
+  function driveVideo(video, ms) {
+    let state = videos.get(video);
+    if (!state) {
+      if (video.paused || video.ended) {
+        return;
+      }
+      state = { start: ms, mediaStart: video.currentTime };
+      videos.set(video, state);
+      HTMLMediaElement.prototype.pause.call(video);
+    }
+
+    let time = state.mediaStart + (ms - state.start) / 1000 * video.playbackRate;
+    if (video.duration) {
+      time = video.loop ? time % video.duration : Math.min(time, video.duration);
+    }
+    if (Math.abs(video.currentTime - time) > 0.0005) {
+      video.currentTime = time;
+    }
+  }
+
+  function syncVideo(video, ms) {
+    if (!video._timeweb_processed) {
+      driveVideo(video, ms);
+    }
+
+    if (video.seeking) {
+      return waitForEvent(video, ['seeked', 'error']);
+    }
+    if (video.readyState < 2 && (video.currentSrc || video.src) && !video.error) {
+      // HAVE_CURRENT_DATA - the frame at currentTime is decoded
+      return waitForEvent(video, ['loadeddata', 'error']);
+    }
+    return null;
+  }
+
+  function syncAnimations(ms) {
+    document.getAnimations().forEach(animation => {
+      let start = animations.get(animation);
+      if (start === undefined) {
+        start = ms - (animation.currentTime || 0) / (animation.playbackRate || 1);
+        animations.set(animation, start);
+        animation.pause();
+      }
+      animation.currentTime = (ms - start) * animation.playbackRate;
+    });
+  }
+
+  function syncLottie(ms) {
+    const lottie = window.lottie || window.bodymovin;
+    if (!lottie || !lottie.getRegisteredAnimations) {
+      return;
+    }
+
+    lottie.getRegisteredAnimations().forEach(animation => {
+      if (!animation.isLoaded || !animation.totalFrames) {
+        return;
+      }
+      let start = lottieAnimations.get(animation);
+      if (start === undefined) {
+        start = ms - animation.currentFrame / animation.frameRate * 1000;
+        lottieAnimations.set(animation, start);
+      }
+
+      let frame = (ms - start) / 1000 * animation.frameRate * (animation.playSpeed || 1);
+      frame = animation.loop ? frame % animation.totalFrames : Math.min(frame, animation.totalFrames - 1);
+      animation.goToAndStop(frame, true);
+    });
+  }
+
+  function syncGsap(ms) {
+    const gsap = window.gsap;
+    if (!gsap || !gsap.globalTimeline) {
+      return;
+    }
+
+    if (gsapOffset === null) {
+      // Take the timeline off GSAP's own ticker
+      gsap.ticker.lagSmoothing(0);
+      gsap.globalTimeline.pause();
+      gsapOffset = ms / 1000 - gsap.globalTimeline.totalTime();
+    }
+    gsap.globalTimeline.totalTime(ms / 1000 - gsapOffset, false);
+  }
+
+  Object.defineProperty(window, '__html2videoMediaSync', {
+    value: async function(ms) {
+      if (window.timeweb) {
+        // goTo resolves once timeweb-managed media have seeked
+        await withTimeout(window.timeweb.goTo(ms));
+      }
+
+      if (enabled.has('waapi')) {
+        syncAnimations(ms);
+      }
+      if (enabled.has('lottie')) {
+        syncLottie(ms);
+      }
+      if (enabled.has('gsap')) {
+        syncGsap(ms);
+      }
+      if (enabled.has('video')) {
+        const pending = Array.from(document.querySelectorAll('video'))
+          .map(video => syncVideo(video, ms))
+          .filter(Boolean);
+        if (pending.length > 0) {
+          await withTimeout(Promise.all(pending));
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Install media sync on a page before navigation
+ * @param {object} page - Puppeteer page with virtual time injected
+ * @param {Array<string>} adapters - From resolveMediaAdapters
+ * @param {object} options - { timeout } ms to wait for a seek before capturing anyway
+ */
+async function injectMediaSync(page, adapters, options = {}) {
+  await page.evaluateOnNewDocument(installMediaSync, adapters, options.timeout || 5000);
+}
+
+module.exports = {
+  MEDIA_ADAPTERS,
+  resolveMediaAdapters,
+  injectMediaSync
+};
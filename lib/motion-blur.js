@@ -0,0 +1,84 @@
+/**
+ * Motion blur - average several sub-frame captures into each output frame,
+ * like a film camera's shutter staying open for part of the frame interval
+ */
+
+/**
+ * Normalize the motionBlur option
+ * @param {object|number} option - { samples, shutterAngle } or a sample count
+ * @returns {object|null} { samples, shutterAngle }, or null when disabled
+ */
+function resolveMotionBlur(option) {
+  if (!option) {
+    return null;
+  }
+
+  const settings = typeof option === 'object' ? option : { samples: option };
+  const samples = parseInt(settings.samples, 10) || 0;
+  const shutterAngle = settings.shutterAngle !== undefined ? Number(settings.shutterAngle) : 180;
+
+  if (samples <= 1) {
+    return null;
+  }
+  if (!(shutterAngle > 0 && shutterAngle <= 360)) {
+    throw new Error(`Invalid shutter angle ${settings.shutterAngle}: use more than 0 and up to 360 degrees`);
+  }
+
+  return { samples, shutterAngle };
+}
+
+/**
+ * Sub-frame time offsets from the frame timestamp, spread over the open shutter
+ * @param {object} blur - From resolveMotionBlur
+ * @param {number} frameDuration - Milliseconds per output frame
+ * @returns {Array<number>} Offsets in ms, all less than frameDuration
+ */
+function getSubFrameOffsets(blur, frameDuration) {
+  const shutterTime = frameDuration * blur.shutterAngle / 360;
+  return Array.from({ length: blur.samples }, (_, index) => shutterTime * index / blur.samples);
+}
+
+/**
+ * Average RGBA frames of the same size. Colour is weighted by alpha so
+ * transparent samples don't darken the edges of moving shapes.
+ * @param {Array<Buffer>} frames - Raw RGBA buffers
+ * @returns {Buffer} Averaged RGBA buffer
+ */
+function averageFrames(frames) {
+  const length = frames[0].length;
+  const color = new Uint32Array(length);
+  const alpha = new Uint32Array(length / 4);
+
+  for (const frame of frames) {
+    if (frame.length !== length) {
+      throw new Error('Motion blur samples must all be the same size');
+    }
+    for (let i = 0, p = 0; i < length; i += 4, p++) {
+      const a = frame[i + 3];
+      color[i] += frame[i] * a;
+      color[i + 1] += frame[i + 1] * a;
+      color[i + 2] += frame[i + 2] * a;
+      alpha[p] += a;
+    }
+  }
+
+  const count = frames.length;
+  const output = Buffer.alloc(length);
+  for (let i = 0, p = 0; i < length; i += 4, p++) {
+    const totalAlpha = alpha[p];
+    if (totalAlpha > 0) {
+      output[i] = Math.round(color[i] / totalAlpha);
+      output[i + 1] = Math.round(color[i + 1] / totalAlpha);
+      output[i + 2] = Math.round(color[i + 2] / totalAlpha);
+      output[i + 3] = Math.round(totalAlpha / count);
+    }
+  }
+
+  return output;
+}
+
+module.exports = {
+  resolveMotionBlur,
+  getSubFrameOffsets,
+  averageFrames
+};
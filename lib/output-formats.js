@@ -0,0 +1,453 @@
+/**
+ * Output formats - container, codec and encoder settings for each target
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getRateControlArgs, getPassArgs } = require('./rate-control');
+
+/**
+ * Supported output formats
+ *   pixelFormat       - pixel format when keeping transparency
+ *   opaquePixelFormat - pixel format when there is no alpha to keep
+ *   alpha             - format can keep transparency
+ *   audio             - container can carry an audio stream
+ *   concat            - segments can be joined losslessly with the concat demuxer
+ *   chapters          - container can carry chapter metadata
+ *   stream            - can be written to a pipe (MP4 and MOV are fragmented)
+ *   live              - playlist plus media segments, written as frames arrive
+ *   sequence          - output is a numbered image sequence instead of one file
+ *   internal          - only written by the renderer itself, not selectable as output
+ */
+const OUTPUT_FORMATS = {
+  webm: {
+    name: 'WebM (VP9)',
+    codec: 'vp9',
+    extension: '.webm',
+    muxer: null,
+    pixelFormat: 'yuva420p',
+    opaquePixelFormat: 'yuv420p',
+    alpha: true,
+    audio: true,
+    concat: true,
+    chapters: true,
+    stream: true
+  },
+  mp4: {
+    name: 'MP4 (H.264)',
+    codec: 'h264',
+    extension: '.mp4',
+    muxer: 'mp4',
+    pixelFormat: 'yuv420p',
+    opaquePixelFormat: 'yuv420p',
+    alpha: false,
+    audio: true,
+    concat: true,
+    chapters: true,
+    stream: true
+  },
+  hevc: {
+    name: 'MP4 (HEVC)',
+    codec: 'hevc',
+    extension: '.mp4',
+    muxer: 'mp4',
+    pixelFormat: 'yuv420p',
+    opaquePixelFormat: 'yuv420p',
+    alpha: false,
+    audio: true,
+    concat: true,
+    chapters: true,
+    stream: true
+  },
+  prores: {
+    name: 'MOV (ProRes 4444)',
+    codec: 'prores',
+    extension: '.mov',
+    muxer: 'mov',
+    pixelFormat: 'yuva444p10le',
+    opaquePixelFormat: 'yuv444p10le',
+    alpha: true,
+    audio: true,
+    concat: true,
+    chapters: true,
+    stream: true
+  },
+  gif: {
+    name: 'Animated GIF',
+    codec: 'gif',
+    extension: '.gif',
+    muxer: 'gif',
+    pixelFormat: null, // Chosen by the palette filter
+    opaquePixelFormat: null,
+    alpha: true,
+    audio: false,
+    concat: false,
+    stream: true
+  },
+  apng: {
+    name: 'Animated PNG',
+    codec: 'apng',
+    extension: '.apng',
+    muxer: 'apng',
+    pixelFormat: 'rgba',
+    opaquePixelFormat: 'rgb24',
+    alpha: true,
+    audio: false,
+    concat: false
+  },
+  webp: {
+    name: 'Animated WebP',
+    codec: 'webp',
+    extension: '.webp',
+    muxer: 'webp',
+    pixelFormat: 'yuva420p',
+    opaquePixelFormat: 'yuv420p',
+    alpha: true,
+    audio: false,
+    concat: false
+  },
+  hls: {
+    name: 'HLS (H.264)',
+    codec: 'h264',
+    extension: '.m3u8',
+    muxer: 'hls',
+    pixelFormat: 'yuv420p',
+    opaquePixelFormat: 'yuv420p',
+    alpha: false,
+    audio: false,
+    concat: false,
+    live: true
+  },
+  dash: {
+    name: 'DASH (H.264)',
+    codec: 'h264',
+    extension: '.mpd',
+    muxer: 'dash',
+    pixelFormat: 'yuv420p',
+    opaquePixelFormat: 'yuv420p',
+    alpha: false,
+    audio: false,
+    concat: false,
+    live: true
+  },
+  png: {
+    name: 'PNG sequence',
+    codec: 'png',
+    extension: '.png',
+    muxer: 'image2',
+    pixelFormat: 'rgba',
+    opaquePixelFormat: 'rgb24',
+    alpha: true,
+    audio: false,
+    concat: false,
+    sequence: true
+  },
+  // Lossless frames buffered for a two-pass encode; the background and even
+  // dimensions are added by the final encode
+  intermediate: {
+    name: 'FFV1 intermediate',
+    codec: 'ffv1',
+    extension: '.mkv',
+    muxer: 'matroska',
+    pixelFormat: 'bgra',
+    opaquePixelFormat: 'bgra',
+    alpha: true,
+    audio: false,
+    concat: true,
+    internal: true
+  }
+};
+
+/**
+ * Formats inferred from the output file extension
+ */
+const EXTENSION_FORMATS = {
+  '.webm': 'webm',
+  '.mp4': 'mp4',
+  '.m4v': 'mp4',
+  '.mov': 'prores',
+  '.gif': 'gif',
+  '.apng': 'apng',
+  '.webp': 'webp',
+  '.m3u8': 'hls',
+  '.mpd': 'dash',
+  '.png': 'png'
+};
+
+// Live playlists are cut into segments of this many seconds
+const DEFAULT_LIVE_SEGMENT_DURATION = 2;
+
+/**
+ * Pick the output format from an explicit name or the output extension
+ * @param {string} format - Format name, or null to infer
+ * @param {string} outputPath - Output file path
+ * @returns {string} Key of OUTPUT_FORMATS
+ */
+function resolveOutputFormat(format, outputPath) {
+  if (format) {
+    const key = format.toLowerCase();
+    if (!OUTPUT_FORMATS[key] || OUTPUT_FORMATS[key].internal) {
+      const names = Object.keys(OUTPUT_FORMATS).filter(name => !OUTPUT_FORMATS[name].internal);
+      throw new Error(`Unknown output format: ${format}. Use ${names.join(', ')}`);
+    }
+    return key;
+  }
+
+  const extension = path.extname(outputPath || '').toLowerCase();
+  // Anything unrecognised keeps the original VP9/WebM behaviour
+  return EXTENSION_FORMATS[extension] || 'webm';
+}
+
+/**
+ * FFmpeg filename pattern for an image sequence, e.g. shot.png -> shot-%05d.png
+ */
+function getSequencePattern(outputPath) {
+  if (outputPath.includes('%')) {
+    return outputPath;
+  }
+  const extension = path.extname(outputPath) || '.png';
+  return outputPath.slice(0, outputPath.length - path.extname(outputPath).length) + `-%05d${extension}`;
+}
+
+/**
+ * List the files a capture produced
+ */
+function getOutputFiles(outputPath, format) {
+  if (OUTPUT_FORMATS[format].live) {
+    return [outputPath].concat(getLiveSegmentFiles(outputPath));
+  }
+  if (!OUTPUT_FORMATS[format].sequence) {
+    return [outputPath];
+  }
+
+  const pattern = getSequencePattern(outputPath);
+  const directory = path.dirname(pattern);
+  const [prefix, suffix] = path.basename(pattern).split(/%0?\d*d/);
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => file.startsWith(prefix) && file.endsWith(suffix) &&
+      /^\d+$/.test(file.slice(prefix.length, file.length - suffix.length)))
+    .sort()
+    .map(file => path.join(directory, file));
+}
+
+/**
+ * Media segments written next to a live playlist; they're all named after it
+ */
+function getLiveSegmentFiles(outputPath) {
+  const directory = path.dirname(outputPath);
+  const base = path.basename(outputPath, path.extname(outputPath));
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => file.startsWith(base) && ['.ts', '.m4s'].includes(path.extname(file)))
+    .sort()
+    .map(file => path.join(directory, file));
+}
+
+/**
+ * Encoder arguments for a format
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @param {object} options - { quality, rateControl, pass, pixelFormat, alpha, background, fps, hardwareProfile, filters,
+ *   startNumber, stream, segmentDuration, outputName }
+ *   rateControl     - from resolveRateControl; quality alone (CRF) when unset
+ *   pass            - { number, logFile } for one pass of a two-pass encode; pass 1 writes no output
+ *   alpha           - keep transparency (default true); false picks the opaque pixel format
+ *   background      - input 1 is a background layer to composite the frames over
+ *   stream          - the output is a pipe, so MP4/MOV are fragmented
+ *   segmentDuration - seconds per live playlist segment
+ *   outputName      - output file name without extension, for DASH segment names
+ * @returns {object} { args, codec, pixelFormat }
+ */
+function getEncoderArgs(format, options = {}) {
+  const definition = OUTPUT_FORMATS[format];
+  const quality = options.quality !== undefined ? options.quality : 23;
+  const alpha = options.alpha !== false && definition.alpha;
+  const pixelFormat = options.pixelFormat || (alpha ? definition.pixelFormat : definition.opaquePixelFormat);
+  const filters = (options.filters || []).slice();
+  const hardware = options.hardwareProfile;
+  // The intermediate is lossless, whatever the final encode's rate control
+  const rateArgs = definition.internal ? [] : getRateControlArgs(definition.codec, quality, options.rateControl);
+  if (options.pass) {
+    rateArgs.push(...getPassArgs(definition.codec, options.pass.number, options.pass.logFile));
+  }
+  const args = [];
+
+  // 4:2:0 H.264/HEVC needs even dimensions, which selector clips don't guarantee
+  if (definition.codec === 'h264' || definition.codec === 'hevc') {
+    filters.push('pad=ceil(iw/2)*2:ceil(ih/2)*2');
+  }
+
+  // A pipe can't be seeked back to write the index at the start
+  const movflags = options.stream ? 'frag_keyframe+empty_moov+default_base_moof' : '+faststart';
+
+  // Frames go on top of the background layer, stretched to the frame size
+  let source = '[0:v]';
+  let graph = '';
+  if (options.background) {
+    graph = `[1:v]fps=${options.fps || 60}[bgin];[bgin][0:v]scale2ref[bg][fg];[bg][fg]overlay=shortest=1:format=auto[comp];`;
+    source = '[comp]';
+  }
+
+  if (format === 'gif') {
+    // GIF builds its own filter graph around the palette
+    const chain = filters.length > 0 ? `${filters.join(',')},` : '';
+    const palette = alpha ?
+      'palettegen=reserve_transparent=1:stats_mode=diff[p];[b][p]paletteuse=dither=sierra2_4a:alpha_threshold=128' :
+      'palettegen=reserve_transparent=0:stats_mode=diff[p];[b][p]paletteuse=dither=sierra2_4a';
+    args.push('-filter_complex', `${graph}${source}${chain}split[a][b];[a]${palette}`);
+  } else if (options.background) {
+    args.push('-filter_complex', `${graph}${source}${filters.length > 0 ? filters.join(',') : 'null'}[v]`);
+    args.push('-map', '[v]');
+  } else if (filters.length > 0) {
+    args.push('-vf', filters.join(','));
+  }
+
+  switch (format) {
+    case 'mp4':
+      if (hardware) {
+        args.push('-c:v', hardware.encoder);
+        if (hardware.preset) {
+          args.push('-preset', hardware.preset);
+        }
+        args.push('-pix_fmt', options.pixelFormat || hardware.pixelFormat);
+        args.push(...hardware.extraArgs);
+      } else {
+        args.push('-c:v', 'libx264', '-preset', 'medium');
+        args.push('-pix_fmt', pixelFormat);
+        args.push(...rateArgs);
+        args.push('-threads', '0');
+      }
+      args.push('-movflags', movflags);
+      break;
+
+    case 'hevc':
+      args.push('-c:v', 'libx265', '-preset', 'medium');
+      args.push('-pix_fmt', pixelFormat);
+      args.push(...rateArgs);
+      args.push('-tag:v', 'hvc1'); // Plays in QuickTime/Safari
+      args.push('-movflags', movflags);
+      break;
+
+    case 'prores':
+      args.push('-c:v', 'prores_ks', '-profile:v', '4444'); // Alpha only when the pixel format has it
+      args.push('-pix_fmt', pixelFormat);
+      args.push('-vendor', 'apl0');
+      if (options.stream) {
+        args.push('-movflags', movflags);
+      }
+      break;
+
+    case 'hls':
+    case 'dash': {
+      const segmentDuration = options.segmentDuration || DEFAULT_LIVE_SEGMENT_DURATION;
+      args.push('-c:v', 'libx264', '-preset', 'medium');
+      args.push('-pix_fmt', pixelFormat);
+      args.push(...rateArgs);
+      args.push('-threads', '0');
+      // Segments can only start on a keyframe
+      args.push('-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`, '-sc_threshold', '0');
+
+      if (format === 'hls') {
+        // An event playlist is appended to as segments are written, and ended when the render is
+        args.push('-hls_time', segmentDuration.toString());
+        args.push('-hls_list_size', '0');
+        args.push('-hls_playlist_type', 'event');
+        args.push('-hls_flags', 'independent_segments');
+      } else {
+        const name = options.outputName || 'output';
+        args.push('-seg_duration', segmentDuration.toString());
+        args.push('-use_template', '1', '-use_timeline', '1');
+        args.push('-window_size', '0');
+        args.push('-init_seg_name', `${name}-init-$RepresentationID$.m4s`);
+        args.push('-media_seg_name', `${name}-$RepresentationID$-$Number%05d$.m4s`);
+      }
+      break;
+    }
+
+    case 'gif':
+      args.push('-loop', '0');
+      break;
+
+    case 'apng':
+      args.push('-c:v', 'apng', '-pix_fmt', pixelFormat);
+      args.push('-plays', '0');
+      break;
+
+    case 'webp':
+      args.push('-c:v', 'libwebp', '-pix_fmt', pixelFormat);
+      // Map CRF (lower is better) onto libwebp's 0-100 quality scale
+      args.push('-quality', Math.max(0, Math.min(100, 100 - quality)).toString());
+      args.push('-loop', '0');
+      break;
+
+    case 'png':
+      args.push('-c:v', 'png', '-pix_fmt', pixelFormat);
+      args.push('-start_number', (options.startNumber || 0).toString());
+      break;
+
+    case 'intermediate':
+      args.push('-c:v', 'ffv1', '-level', '3', '-pix_fmt', pixelFormat);
+      args.push('-threads', '0');
+      break;
+
+    default:
+      // CPU/Software encoding with VP9 (supports transparency)
+      args.push('-c:v', 'libvpx-vp9');
+      args.push('-pix_fmt', pixelFormat); // yuva420p for transparency
+      args.push(...rateArgs); // CRF mode unless a bitrate is set
+      args.push('-threads', '0'); // Use all available CPU cores
+
+      // VP9 specific optimizations
+      args.push('-deadline', 'good'); // Balance speed vs quality
+      args.push('-cpu-used', '2'); // Faster encoding preset
+  }
+
+  if (options.pass && options.pass.number === 1) {
+    // The first pass only collects statistics
+    args.push('-f', 'null');
+  } else if (definition.muxer) {
+    args.push('-f', definition.muxer);
+  } else if (options.stream) {
+    // There's no file extension to pick the WebM muxer from
+    args.push('-f', 'webm');
+  }
+
+  return {
+    args,
+    codec: definition.codec,
+    pixelFormat
+  };
+}
+
+/**
+ * Muxer arguments for rewriting a finished output without re-encoding, e.g.
+ * to add audio or chapters. The format is named, since the file may not have
+ * the usual extension, and MP4 keeps its index at the start.
+ * @param {string} format - Key of OUTPUT_FORMATS
+ */
+function getRemuxArgs(format) {
+  const definition = OUTPUT_FORMATS[format];
+  const args = [];
+  if (definition.muxer === 'mp4') {
+    args.push('-movflags', '+faststart');
+  }
+  args.push('-f', definition.muxer || 'webm');
+  return args;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  EXTENSION_FORMATS,
+  DEFAULT_LIVE_SEGMENT_DURATION,
+  resolveOutputFormat,
+  getSequencePattern,
+  getOutputFiles,
+  getEncoderArgs,
+  getRemuxArgs
+};
@@ -0,0 +1,174 @@
+/**
+ * Page log - console output, uncaught exceptions and failed requests from the
+ * pages of a job, stamped with the virtual time they happened at
+ *
+ * Entry types:
+ *   console       - console.* calls; level is the console method (log, warn, error...)
+ *   pageerror     - uncaught exceptions
+ *   requestfailed - requests that failed at the network level
+ *   http          - responses with a 4xx/5xx status
+ *
+ * Policies for uncaught exceptions and failed asset loads:
+ *   ignore - only record them
+ *   warn   - record them and log a warning (default)
+ *   fail   - abort the render at the next frame
+ */
+
+const PAGE_ERROR_POLICIES = ['ignore', 'warn', 'fail'];
+
+// Console spam on every frame shouldn't bloat the metadata
+const MAX_ENTRIES = 1000;
+
+/**
+ * Normalize the pageErrors option
+ */
+function resolvePageErrorPolicy(policy) {
+  const value = policy || 'warn';
+  if (!PAGE_ERROR_POLICIES.includes(value)) {
+    throw new Error(`Invalid page error policy: ${value}. Use ${PAGE_ERROR_POLICIES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Whether an entry counts against the policy
+ */
+function isFailure(entry) {
+  return entry.type === 'pageerror' || entry.type === 'http' ||
+    (entry.type === 'requestfailed' && entry.level === 'error');
+}
+
+/**
+ * Create the log for one job
+ * @param {object} options - { policy, log }
+ * @returns {object} { entries, watch(page), check(), summary() }
+ */
+function createPageLog(options = {}) {
+  const policy = resolvePageErrorPolicy(options.policy);
+  const log = options.log || (() => {});
+  const entries = [];
+  let dropped = 0;
+  let failure = null;
+
+  const record = (entry) => {
+    if (entries.length < MAX_ENTRIES) {
+      entries.push(entry);
+    } else {
+      dropped++;
+    }
+
+    if (!isFailure(entry)) {
+      return;
+    }
+    const description = `${describeEntry(entry)} at ${entry.time.toFixed(3)}s`;
+    if (policy === 'fail' && !failure) {
+      failure = new Error(`Page error: ${description}`);
+      failure.pageEvent = entry;
+    } else if (policy === 'warn') {
+      log(`Warning: ${description}`);
+    }
+  };
+
+  /**
+   * Listen to a page before it navigates
+   * @returns {object} Tracker with setTime(ms), called as the page moves
+   *   through virtual time, and check()
+   */
+  function watch(page) {
+    let time = 0;
+
+    page.on('console', (message) => {
+      record({ type: 'console', level: message.type(), message: message.text(), time: time / 1000 });
+    });
+
+    page.on('pageerror', (error) => {
+      record({ type: 'pageerror', level: 'error', message: error.message || String(error), time: time / 1000 });
+    });
+
+    page.on('requestfailed', (request) => {
+      const errorText = request.failure() ? request.failure().errorText : 'failed';
+      record({
+        type: 'requestfailed',
+        // Media elements cancel their own range requests while seeking
+        level: errorText === 'net::ERR_ABORTED' ? 'warning' : 'error',
+        message: errorText,
+        url: request.url(),
+        time: time / 1000
+      });
+    });
+
+    page.on('response', (response) => {
+      const url = response.url();
+      if (response.status() < 400 || /\/favicon\.ico$/.test(url)) {
+        return;
+      }
+      record({
+        type: 'http',
+        level: 'error',
+        status: response.status(),
+        message: `${response.status()} ${response.statusText()}`.trim(),
+        url,
+        time: time / 1000
+      });
+    });
+
+    return {
+      setTime: (ms) => {
+        time = ms;
+      },
+      check
+    };
+  }
+
+  /**
+   * Throw the first failure when the policy is fail
+   */
+  function check() {
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Counts plus the entries, for the metadata JSON and webhooks
+   * @param {object} options - { limit } keep only the first errors and warnings, for webhooks
+   */
+  function summary(options = {}) {
+    const isWarning = entry => !isFailure(entry) && ['warn', 'warning', 'error'].includes(entry.level);
+    return {
+      policy,
+      errors: entries.filter(isFailure).length,
+      warnings: entries.filter(isWarning).length,
+      entries: options.limit ?
+        entries.filter(entry => isFailure(entry) || isWarning(entry)).slice(0, options.limit) :
+        entries,
+      dropped
+    };
+  }
+
+  return {
+    entries,
+    watch,
+    check,
+    summary
+  };
+}
+
+function describeEntry(entry) {
+  switch (entry.type) {
+    case 'pageerror':
+      return `uncaught ${entry.message}`;
+    case 'requestfailed':
+      return `request failed (${entry.message}) ${entry.url}`;
+    case 'http':
+      return `HTTP ${entry.message} ${entry.url}`;
+    default:
+      return entry.message;
+  }
+}
+
+module.exports = {
+  PAGE_ERROR_POLICIES,
+  resolvePageErrorPolicy,
+  createPageLog
+};
@@ -0,0 +1,298 @@
+/**
+ * Preview images - a poster frame and a scrub-preview sprite sheet with its
+ * WebVTT thumbnails track, made from the frames as they're captured
+ *
+ * Sampled frames are kept in a temporary directory during capture; FFmpeg then
+ * downscales them (supersampling), composites the background and tiles the
+ * thumbnails once the video is done.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFrameImage } = require('./frame-transport');
+const { isComposited, getBackgroundInputArgs } = require('./background');
+const { runFFmpeg } = require('./ffmpeg');
+
+const DEFAULT_SPRITE = {
+  interval: 1,
+  width: 160,
+  columns: 10
+};
+
+/**
+ * Normalize the poster and sprite options
+ * @param {object} options - { poster, sprite }
+ *   poster - seconds into the video, or { time, frame, path }
+ *   sprite - true, an interval in seconds, or { interval, width, columns, path, vtt }
+ * @param {string|null} output - Video path the preview paths are derived from; null for
+ *   streamed video, which needs the paths given
+ * @returns {object|null} { poster, sprite }, null when neither is wanted
+ */
+function resolvePreviews(options, output) {
+  const base = output ? output.replace(/\.[^.]+$/, '') : null;
+  const resolvePath = (value, suffix, name) => {
+    if (!value && !base) {
+      throw new Error(`Streamed output has no file name to put the ${name} next to - give its path`);
+    }
+    return path.resolve(process.cwd(), value || `${base}${suffix}`);
+  };
+  let poster = null;
+  let sprite = null;
+
+  if (options.poster !== null && options.poster !== undefined && options.poster !== false) {
+    const value = typeof options.poster === 'object' ? options.poster : { time: options.poster === true ? 0 : options.poster };
+    const time = value.time !== undefined ? Number(value.time) : 0;
+    const frame = value.frame !== undefined && value.frame !== null ? Number(value.frame) : null;
+    if (!(time >= 0) || (frame !== null && !(Number.isInteger(frame) && frame >= 0))) {
+      throw new Error(`Invalid poster position: ${JSON.stringify(options.poster)}. Use seconds or a frame number`);
+    }
+    poster = {
+      time,
+      frame,
+      path: resolvePath(value.path, '.poster.png', 'poster')
+    };
+  }
+
+  if (options.sprite) {
+    const value = typeof options.sprite === 'object' ? options.sprite :
+      { interval: options.sprite === true ? DEFAULT_SPRITE.interval : options.sprite };
+    sprite = {
+      interval: Number(value.interval) || DEFAULT_SPRITE.interval,
+      width: parseInt(value.width, 10) || DEFAULT_SPRITE.width,
+      columns: parseInt(value.columns, 10) || DEFAULT_SPRITE.columns
+    };
+    if (sprite.interval <= 0 || sprite.width <= 0 || sprite.columns <= 0) {
+      throw new Error(`Invalid sprite options: ${JSON.stringify(options.sprite)}`);
+    }
+    sprite.path = resolvePath(value.path, '.sprite.jpg', 'sprite sheet');
+    sprite.vtt = path.resolve(process.cwd(), value.vtt || sprite.path.replace(/\.[^.]+$/, '.vtt'));
+  }
+
+  return poster || sprite ? { poster, sprite } : null;
+}
+
+/**
+ * Collect the sampled frames of a render
+ * @param {object} previews - From resolvePreviews
+ * @param {object} options - { dir, fps, frameFormat, runFFmpeg } dir is created here;
+ *   runFFmpeg replaces the FFmpeg runner from ./ffmpeg
+ * @returns {object} { add(index, frame), finish(options), remove() }
+ */
+function createPreviewCollector(previews, options) {
+  const { dir, fps, frameFormat } = options;
+  const run = options.runFFmpeg || runFFmpeg;
+  fs.mkdirSync(dir, { recursive: true });
+
+  const posterIndex = previews.poster ?
+    (previews.poster.frame !== null ? previews.poster.frame : Math.round(previews.poster.time * fps)) : null;
+  const step = previews.sprite ? Math.max(1, Math.round(previews.sprite.interval * fps)) : null;
+
+  let posterFile = null;
+  const thumbnails = [];
+  // The poster falls back to the last frame when it's past the end. Only changed
+  // frames are kept for it: frames trimmed from a still end repeat the last
+  // change, so it's also the video's last frame.
+  let last = null;
+
+  const save = (name, frame) => {
+    const { image, extension } = getFrameImage(frame, frameFormat);
+    const file = path.join(dir, `${name}${extension}`);
+    fs.writeFileSync(file, image);
+    return { file, image };
+  };
+
+  return {
+    /**
+     * Keep the frame if it's sampled
+     * @param {number} index - Output frame number
+     * @param {object} frame - From the frame transport
+     */
+    add(index, frame) {
+      if (index === posterIndex) {
+        posterFile = save('poster', frame).file;
+      }
+      if (step && index % step === 0) {
+        thumbnails[index / step] = save(`thumb-${String(index / step).padStart(6, '0')}`, frame);
+      }
+      if (previews.poster && !frame.duplicate && (!last || index > last.index)) {
+        last = { index, frame };
+      }
+    },
+
+    /**
+     * Write the poster, sprite sheet and VTT
+     * @param {object} options - { frames, background, supersample, verbose, signal }
+     *   frames - output frame count; samples after it (trimmed) are left out
+     * @returns {Promise<object>} { poster, sprite } paths and sprite layout for the metadata
+     */
+    async finish(options) {
+      const { frames, background, supersample, verbose, signal } = options;
+      const result = {};
+
+      if (previews.poster) {
+        let index = posterIndex;
+        if ((!posterFile || posterIndex >= frames) && last && last.index < frames) {
+          index = frames - 1;
+          posterFile = save('poster-last', last.frame).file;
+        }
+        const filters = supersample > 1 ? [`scale=iw/${supersample}:ih/${supersample}:flags=lanczos`] : [];
+        await run(getPreviewArgs(['-i', posterFile], filters, {
+          background,
+          rate: fps,
+          startTime: index / fps,
+          output: previews.poster.path
+        }), { verbose, signal });
+        result.poster = { path: previews.poster.path, frame: index, time: index / fps };
+      }
+
+      if (previews.sprite) {
+        const count = Math.min(thumbnails.length, Math.ceil(frames / step));
+        const { width, columns } = previews.sprite;
+        // Thumbnails past the trimmed end would otherwise be tiled too
+        thumbnails.slice(count).forEach(thumbnail => fs.rmSync(thumbnail.file, { force: true }));
+        const size = getImageSize(thumbnails[0].image);
+        const height = Math.max(2, Math.round(width * size.height / size.width / 2) * 2);
+        const rows = Math.ceil(count / columns);
+        const duration = frames / fps;
+
+        await run(getPreviewArgs([
+          '-framerate', (fps / step).toString(),
+          '-i', path.join(dir, `thumb-%06d${path.extname(thumbnails[0].file)}`)
+        ], [
+          `scale=${width}:${height}:flags=lanczos`,
+          `tile=${Math.min(columns, count)}x${rows}`
+        ], {
+          background,
+          rate: fps / step,
+          output: previews.sprite.path
+        }), { verbose, signal });
+
+        fs.writeFileSync(previews.sprite.vtt, getThumbnailsVtt({
+          count,
+          interval: step / fps,
+          duration,
+          width,
+          height,
+          columns,
+          image: path.relative(path.dirname(previews.sprite.vtt), previews.sprite.path).split(path.sep).join('/')
+        }));
+        result.sprite = {
+          path: previews.sprite.path,
+          vtt: previews.sprite.vtt,
+          interval: step / fps,
+          thumbnails: count,
+          width,
+          height,
+          columns: Math.min(columns, count),
+          rows
+        };
+      }
+
+      return result;
+    },
+
+    remove() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * FFmpeg arguments for one preview image, composited over the background
+ * @param {string[]} inputArgs - Image input (input 0)
+ * @param {string[]} filters - Applied after compositing
+ * @param {object} options - { background, rate, startTime, output }
+ */
+function getPreviewArgs(inputArgs, filters, options) {
+  const { background } = options;
+  const args = ['-y', ...inputArgs];
+  const chain = filters.length > 0 ? filters.join(',') : 'null';
+
+  if (background && isComposited(background)) {
+    args.push(...getBackgroundInputArgs(background, options.rate, options.startTime));
+    args.push('-filter_complex',
+      `[1:v]fps=${options.rate}[bgin];[bgin][0:v]scale2ref[bg][fg];[bg][fg]overlay=shortest=1:format=auto,${chain}[v]`);
+    args.push('-map', '[v]');
+  } else if (filters.length > 0) {
+    args.push('-vf', chain);
+  }
+
+  args.push('-frames:v', '1', '-update', '1', options.output);
+  return args;
+}
+
+/**
+ * WebVTT thumbnails track pointing into the sprite sheet with media fragments
+ * @param {object} options - { count, interval, duration, width, height, columns, image }
+ * @returns {string}
+ */
+function getThumbnailsVtt(options) {
+  const { count, interval, duration, width, height, columns, image } = options;
+  const lines = ['WEBVTT', ''];
+
+  for (let i = 0; i < count; i++) {
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration);
+    const x = (i % columns) * width;
+    const y = Math.floor(i / columns) * height;
+    lines.push(
+      `${formatVttTime(start)} --> ${formatVttTime(end)}`,
+      `${image}#xywh=${x},${y},${width},${height}`,
+      ''
+    );
+  }
+
+  return lines.join('\n');
+}
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+    `${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Pixel size of a PNG, JPEG or WebP image, for the thumbnail aspect ratio
+ * @returns {object} { width, height }
+ */
+function getImageSize(image) {
+  // PNG: IHDR is the first chunk
+  if (image.readUInt32BE(0) === 0x89504e47) {
+    return { width: image.readUInt32BE(16), height: image.readUInt32BE(20) };
+  }
+
+  // JPEG: the size is in the start-of-frame segment
+  if (image[0] === 0xff && image[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < image.length) {
+      const marker = image[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: image.readUInt16BE(offset + 7), height: image.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + image.readUInt16BE(offset + 2);
+    }
+  }
+
+  // WebP: lossy, lossless and extended headers
+  if (image.toString('ascii', 0, 4) === 'RIFF' && image.toString('ascii', 8, 12) === 'WEBP') {
+    switch (image.toString('ascii', 12, 16)) {
+      case 'VP8 ':
+        return { width: image.readUInt16LE(26) & 0x3fff, height: image.readUInt16LE(28) & 0x3fff };
+      case 'VP8L': {
+        const bits = image.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      case 'VP8X':
+        return { width: image.readUIntLE(24, 3) + 1, height: image.readUIntLE(27, 3) + 1 };
+    }
+  }
+
+  throw new Error('Unknown frame image format');
+}
+
+module.exports = {
+  resolvePreviews,
+  createPreviewCollector,
+  getThumbnailsVtt
+};
@@ -0,0 +1,166 @@
+/**
+ * Rate control - how the encoder spends bits on the video
+ *
+ * Modes:
+ *   crf  - constant quality from the quality option (default)
+ *   vbr  - constant quality, capped at maxBitrate with a bufferSize rate buffer
+ *   abr  - average bitrate, optionally capped at maxBitrate
+ *   size - average bitrate worked out from a file size budget and the duration,
+ *          encoded in two passes from a lossless intermediate of the captured frames
+ *
+ * Bitrate modes need a codec with bitrate control: H.264, HEVC or VP9.
+ */
+
+// Codecs whose encoders take the bitrate options below
+const RATE_CONTROL_CODECS = ['h264', 'hevc', 'vp9'];
+
+// Part of a size budget left for container overhead
+const SIZE_HEADROOM = 0.02;
+
+// Lowest bitrate a size budget may work out to, in bits per second
+const MIN_TARGET_BITRATE = 16000;
+
+/**
+ * Parse a bitrate: bits per second, or with a k/M suffix, e.g. "2.5M" or "800k"
+ * @returns {number|null} Bits per second
+ */
+function parseBitrate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const match = String(value).trim().match(/^(\d*\.?\d+)\s*([km])?(?:bps|b\/s|b)?$/i);
+  if (!match || !(parseFloat(match[1]) > 0)) {
+    throw new Error(`Invalid bitrate: ${value}. Use bits per second or k/M units, e.g. 800k or 2.5M`);
+  }
+  const unit = match[2] ? { k: 1e3, m: 1e6 }[match[2].toLowerCase()] : 1;
+  return Math.round(parseFloat(match[1]) * unit);
+}
+
+/**
+ * Work out the rate control mode from the bitrate options
+ * @param {object} options - { bitrate, maxBitrate, bufferSize, targetSize }
+ *   targetSize - file size budget in MB (1024 * 1024 bytes), soundtrack included
+ * @param {object} definition - The output format, from OUTPUT_FORMATS
+ * @returns {object} { mode, bitrate, maxBitrate, bufferSize, targetSize, twoPass }
+ */
+function resolveRateControl(options, definition) {
+  const bitrate = parseBitrate(options.bitrate);
+  const maxBitrate = parseBitrate(options.maxBitrate);
+  const bufferSize = parseBitrate(options.bufferSize);
+  const targetSize = options.targetSize !== undefined && options.targetSize !== null && options.targetSize !== '' ?
+    Number(options.targetSize) : null;
+
+  if (targetSize !== null && !(targetSize > 0)) {
+    throw new Error(`Invalid target size: ${options.targetSize}. Use megabytes, e.g. 4 or 0.5`);
+  }
+  if (targetSize !== null && bitrate !== null) {
+    throw new Error('Give a bitrate or a target size, not both');
+  }
+  if (bufferSize !== null && maxBitrate === null) {
+    throw new Error('A buffer size only applies with a maximum bitrate');
+  }
+
+  const mode = targetSize !== null ? 'size' : (bitrate !== null ? 'abr' : (maxBitrate !== null ? 'vbr' : 'crf'));
+  if (mode !== 'crf' && !RATE_CONTROL_CODECS.includes(definition.codec)) {
+    throw new Error(`${definition.name} has no bitrate control - use webm, mp4, hevc, hls or dash, or quality alone`);
+  }
+  if (bitrate !== null && maxBitrate !== null && maxBitrate < bitrate) {
+    throw new Error(`Maximum bitrate ${maxBitrate} is below the average bitrate ${bitrate}`);
+  }
+
+  return {
+    mode,
+    bitrate,
+    maxBitrate,
+    // The rate buffer defaults to two seconds at the maximum rate
+    bufferSize: maxBitrate !== null ? (bufferSize || maxBitrate * 2) : null,
+    targetSize,
+    twoPass: mode === 'size'
+  };
+}
+
+/**
+ * Average video bitrate that fits a size budget
+ * @param {number} duration - Seconds of video
+ * @param {number} audioBitrate - Bits per second taken by the soundtrack
+ * @returns {number} Bits per second, capped at maxBitrate
+ */
+function getTargetSizeBitrate(rateControl, duration, audioBitrate = 0) {
+  const budget = rateControl.targetSize * 1024 * 1024 * 8 * (1 - SIZE_HEADROOM);
+  const bitrate = Math.floor(budget / duration - audioBitrate);
+  if (!(bitrate >= MIN_TARGET_BITRATE)) {
+    throw new Error(`${rateControl.targetSize}MB is too small for ${duration.toFixed(1)}s of video` +
+      (audioBitrate > 0 ? ` with a soundtrack at ${Math.round(audioBitrate / 1000)} kbps` : ''));
+  }
+  return rateControl.maxBitrate !== null ? Math.min(bitrate, rateControl.maxBitrate) : bitrate;
+}
+
+/**
+ * Encoder rate arguments for a codec
+ * @param {string} codec - h264, hevc or vp9
+ * @param {number} quality - CRF, used by crf and vbr
+ * @param {object} rateControl - From resolveRateControl, with bitrate set for size
+ */
+function getRateControlArgs(codec, quality, rateControl) {
+  const mode = rateControl ? rateControl.mode : 'crf';
+  const cap = rateControl && rateControl.maxBitrate !== null ?
+    ['-maxrate', rateControl.maxBitrate.toString(), '-bufsize', rateControl.bufferSize.toString()] : [];
+
+  if (mode === 'crf') {
+    // VP9 only keeps to the CRF with no bitrate target
+    return codec === 'vp9' ? ['-crf', quality.toString(), '-b:v', '0'] : ['-crf', quality.toString()];
+  }
+  if (mode === 'vbr') {
+    // VP9's constrained quality mode reads the cap from -b:v
+    return codec === 'vp9' ?
+      ['-crf', quality.toString(), '-b:v', rateControl.maxBitrate.toString(), ...cap] :
+      ['-crf', quality.toString(), ...cap];
+  }
+  // A size budget's bitrate is only worked out once the duration of the video is known
+  if (rateControl.bitrate === null) {
+    return cap;
+  }
+  return ['-b:v', rateControl.bitrate.toString(), ...cap];
+}
+
+/**
+ * Arguments for one pass of a two-pass encode
+ * @param {number} pass - 1 or 2
+ * @param {string} logFile - Pass statistics file prefix, shared by both passes
+ */
+function getPassArgs(codec, pass, logFile) {
+  if (codec === 'hevc') {
+    return ['-x265-params', `pass=${pass}:stats=${logFile}.log`];
+  }
+  return ['-pass', pass.toString(), '-passlogfile', logFile];
+}
+
+/**
+ * Describe the rate control for the metadata JSON, with what the encode achieved
+ * @param {number} fileSizeBytes - Size of the output
+ * @param {number} duration - Seconds of video
+ */
+function describeRateControl(rateControl, fileSizeBytes, duration) {
+  const achievedBitrate = duration > 0 ? Math.round(fileSizeBytes * 8 / duration) : null;
+  const targetSizeBytes = rateControl.targetSize !== null ? Math.floor(rateControl.targetSize * 1024 * 1024) : undefined;
+  return {
+    mode: rateControl.mode,
+    targetBitrate: rateControl.bitrate !== null ? rateControl.bitrate : undefined,
+    maxBitrate: rateControl.maxBitrate !== null ? rateControl.maxBitrate : undefined,
+    bufferSize: rateControl.bufferSize !== null ? rateControl.bufferSize : undefined,
+    targetSizeBytes,
+    twoPass: rateControl.twoPass,
+    // Overall rate of the file, soundtrack and container included
+    achievedBitrate,
+    withinTarget: targetSizeBytes !== undefined ? fileSizeBytes <= targetSizeBytes : undefined
+  };
+}
+
+module.exports = {
+  parseBitrate,
+  resolveRateControl,
+  getTargetSizeBitrate,
+  getRateControlArgs,
+  getPassArgs,
+  describeRateControl
+};
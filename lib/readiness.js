@@ -0,0 +1,186 @@
+/**
+ * Readiness gates - conditions the page must meet before frame 0 is captured
+ *
+ * Gates, checked in this order:
+ *   networkIdle  - no network requests for idleTime ms
+ *   fonts        - document.fonts.ready
+ *   images       - every <img> decoded
+ *   selector     - an element matching the selector exists
+ *   readyPromise - window.__html2videoReady (a promise the page exposes) resolved
+ *   expression   - a JS expression evaluates truthy
+ *   startSignal  - the page called __recordingControl('start')
+ *
+ * Virtual time is frozen until capture starts, so page timers don't run while
+ * gates wait; conditions must be met by network, parsing or promise callbacks.
+ */
+
+const DEFAULT_TIMEOUT = 30000;
+const POLL_INTERVAL = 100;
+
+const GATE_ORDER = ['networkIdle', 'fonts', 'images', 'selector', 'readyPromise', 'expression', 'startSignal'];
+
+/**
+ * Normalize readiness options into an ordered list of gates
+ * @param {object} readiness - { networkIdle, fonts, images, selector, readyPromise, expression, timeout }
+ *   Each gate is true, a value (selector/expression) or an object with its own timeout
+ * @param {object} control - Recording control state; adds the startSignal gate when given
+ * @returns {Array<object>} Gates with { name, value, timeout }
+ */
+function resolveReadinessGates(readiness = {}, control = null) {
+  const defaultTimeout = readiness.timeout || DEFAULT_TIMEOUT;
+  const options = Object.assign({}, readiness);
+  // Waiting for the start signal never timed out, so it still doesn't by default
+  options.startSignal = control ? (options.startSignal || { timeout: 0 }) : false;
+
+  return GATE_ORDER
+    .filter(name => options[name])
+    .map(name => {
+      const option = options[name];
+      const settings = typeof option === 'object' ? option : { value: option };
+      return {
+        name,
+        value: settings.value !== undefined ? settings.value : settings[name === 'networkIdle' ? 'idleTime' : name],
+        timeout: settings.timeout !== undefined ? settings.timeout : defaultTimeout
+      };
+    });
+}
+
+/**
+ * Poll a page condition from Node until it returns true
+ */
+async function pollUntil(check, deadline) {
+  while (!(await check())) {
+    if (deadline && Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+  return true;
+}
+
+/**
+ * Wait for a single gate
+ * @returns {Promise<boolean>} false when the gate timed out
+ */
+async function waitForGate(page, gate, control) {
+  const deadline = gate.timeout > 0 ? Date.now() + gate.timeout : null;
+  const withTimeout = (promise) => {
+    if (!deadline) {
+      return promise.then(() => true);
+    }
+    let timer;
+    return Promise.race([
+      promise.then(() => true),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), gate.timeout);
+      })
+    ]).finally(() => clearTimeout(timer));
+  };
+
+  switch (gate.name) {
+    case 'networkIdle':
+      try {
+        await page.waitForNetworkIdle({
+          idleTime: typeof gate.value === 'number' ? gate.value : 500,
+          timeout: gate.timeout
+        });
+        return true;
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          return false;
+        }
+        throw error;
+      }
+
+    case 'fonts':
+      return withTimeout(page.evaluate(() => document.fonts.ready.then(() => {})));
+
+    case 'images':
+      return withTimeout(page.evaluate(() => Promise.all(Array.from(document.images).map(image =>
+        // Broken images should fail their own request, not the render
+        image.decode().catch(() => {})
+      ))));
+
+    case 'selector':
+      return pollUntil(() => page.evaluate((selector) => !!document.querySelector(selector), gate.value), deadline);
+
+    case 'readyPromise': {
+      const exposed = await pollUntil(() => page.evaluate(() => !!window.__html2videoReady), deadline);
+      if (!exposed) {
+        return false;
+      }
+      return withTimeout(page.evaluate(() => Promise.resolve(window.__html2videoReady).then(() => {})));
+    }
+
+    case 'expression':
+      return pollUntil(() => page.evaluate((expression) => {
+        return !!(0, eval)(expression);
+      }, gate.value), deadline);
+
+    case 'startSignal':
+      return pollUntil(() => control.started || control.stopped, deadline);
+
+    default:
+      throw new Error(`Unknown readiness gate: ${gate.name}`);
+  }
+}
+
+/**
+ * Wait until every gate is satisfied
+ * @param {object} page - Puppeteer page after navigation
+ * @param {Array<object>} gates - From resolveReadinessGates
+ * @param {object} options - { control, log }
+ * @returns {Promise<Array<object>>} { gate, waitedMs } per gate
+ */
+async function waitForReadiness(page, gates, options = {}) {
+  const log = options.log || (() => {});
+  const results = [];
+
+  for (const gate of gates) {
+    const start = Date.now();
+    log(gate.name === 'startSignal' ? 'Waiting for start signal from page...' : `Waiting for ${describeGate(gate)}...`);
+
+    let ready;
+    try {
+      ready = await waitForGate(page, gate, options.control);
+    } catch (error) {
+      const failure = new Error(`Readiness gate ${describeGate(gate)} failed: ${error.message}`);
+      failure.gate = gate.name;
+      throw failure;
+    }
+
+    if (!ready) {
+      const failure = new Error(`Readiness gate ${describeGate(gate)} timed out after ${gate.timeout}ms`);
+      failure.gate = gate.name;
+      throw failure;
+    }
+
+    results.push({ gate: gate.name, waitedMs: Date.now() - start });
+  }
+
+  return results;
+}
+
+function describeGate(gate) {
+  switch (gate.name) {
+    case 'networkIdle':
+      return 'network idle';
+    case 'fonts':
+      return 'document.fonts.ready';
+    case 'images':
+      return 'images decoded';
+    case 'selector':
+      return `selector "${gate.value}"`;
+    case 'readyPromise':
+      return 'window.__html2videoReady';
+    case 'expression':
+      return `expression "${gate.value}"`;
+    default:
+      return gate.name;
+  }
+}
+
+module.exports = {
+  resolveReadinessGates,
+  waitForReadiness
+};
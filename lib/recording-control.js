@@ -0,0 +1,149 @@
+/**
+ * Recording control - lets the page drive the recorder through
+ * window.__recordingControl(action, value)
+ *
+ * Actions:
+ *   start             - begin capturing (with waitForStartSignal)
+ *   stop              - end the recording after the current frame
+ *   pause / resume    - frames stop/start being captured; the timeline keeps advancing
+ *   marker(name)      - note the current frame and time in the metadata
+ *   chapter(title)    - start a chapter here; also written to MP4/MOV/WebM chapters
+ *   setDuration(ms)   - set the timeline length, for pages that know their own
+ *
+ * Markers and chapters record the output frame (paused frames aren't counted),
+ * its time in the video and the page's virtual time.
+ */
+
+const { getRemuxArgs } = require('./output-formats');
+
+/**
+ * Create the state shared between the page and the capture loop
+ * @param {number} startFrame - First timeline frame
+ * @param {number} endFrame - Timeline frame to stop before, until the page sets a duration
+ */
+function createRecordingControl(startFrame, endFrame) {
+  return {
+    started: false,
+    stopped: false,
+    paused: false,
+    endFrame,
+    // Kept current by the capture loop
+    timelineFrame: startFrame,
+    outputFrame: 0,
+    pausedFrames: 0,
+    markers: [],
+    chapters: []
+  };
+}
+
+/**
+ * Expose window.__recordingControl on a page before navigation
+ * @param {object} page - Puppeteer page
+ * @param {object} control - From createRecordingControl
+ * @param {object} options - { fps, log, onEvent(type, entry) } onEvent is called
+ *   for each marker and chapter
+ */
+async function exposeRecordingControl(page, control, options) {
+  const { fps, log } = options;
+  const onEvent = options.onEvent || (async () => {});
+
+  await page.exposeFunction('__recordingControl', async (action, value) => {
+    log(`Recording control: ${action}${value !== undefined ? ` ${value}` : ''}`);
+
+    switch (action) {
+      case 'start':
+        control.started = true;
+        return { status: 'started' };
+
+      case 'stop':
+        control.stopped = true;
+        return { status: 'stopped' };
+
+      case 'pause':
+        control.paused = true;
+        return { status: 'paused' };
+
+      case 'resume':
+        control.paused = false;
+        return { status: 'resumed' };
+
+      case 'marker':
+      case 'chapter': {
+        const list = action === 'marker' ? control.markers : control.chapters;
+        const label = value !== undefined && value !== null ? String(value) :
+          `${action === 'marker' ? 'Marker' : 'Chapter'} ${list.length + 1}`;
+        const entry = {
+          [action === 'marker' ? 'name' : 'title']: label,
+          frame: control.outputFrame,
+          time: control.outputFrame / fps,
+          pageTime: control.timelineFrame / fps
+        };
+        list.push(entry);
+        await onEvent(action, entry);
+        return Object.assign({ status: action === 'marker' ? 'marked' : 'chapter' }, entry);
+      }
+
+      case 'setDuration': {
+        const ms = Number(value);
+        if (!(ms > 0)) {
+          return { status: 'error', message: `Invalid duration: ${value}` };
+        }
+        control.endFrame = Math.round(ms * fps / 1000);
+        return { status: 'duration', duration: ms / 1000 };
+      }
+
+      default:
+        return { status: 'unknown' };
+    }
+  });
+}
+
+/**
+ * FFMETADATA for the chapters; each runs until the next one or the end
+ * @param {Array<object>} chapters - control.chapters
+ * @param {number} duration - Video duration in seconds
+ * @returns {string}
+ */
+function getChapterMetadata(chapters, duration) {
+  const escape = text => text.replace(/([=;#\\\n])/g, '\\$1');
+  const end = Math.round(duration * 1000);
+
+  const lines = [';FFMETADATA1'];
+  chapters.forEach((chapter, index) => {
+    const next = chapters[index + 1];
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.time * 1000)}`,
+      `END=${next ? Math.round(next.time * 1000) : end}`,
+      `title=${escape(chapter.title)}`
+    );
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * FFmpeg arguments to copy a video with chapters from an FFMETADATA file
+ * @param {string} format - Key of OUTPUT_FORMATS the video is written as
+ */
+function getChapterMuxArgs(inputPath, metadataPath, outputPath, format) {
+  return [
+    '-y',
+    '-i', inputPath,
+    '-f', 'ffmetadata',
+    '-i', metadataPath,
+    '-map', '0',
+    '-map_chapters', '1',
+    '-c', 'copy',
+    ...getRemuxArgs(format),
+    outputPath
+  ];
+}
+
+module.exports = {
+  createRecordingControl,
+  exposeRecordingControl,
+  getChapterMetadata,
+  getChapterMuxArgs
+};
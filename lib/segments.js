@@ -0,0 +1,27 @@
+/**
+ * Segmented capture - split a render's frames across parallel browser pages
+ */
+
+/**
+ * Split [startFrame, endFrame) into contiguous [start, end) ranges
+ */
+function splitFrameRanges(startFrame, endFrame, segments) {
+  const ranges = [];
+  const totalFrames = endFrame - startFrame;
+  const baseSize = Math.floor(totalFrames / segments);
+  let remainder = totalFrames % segments;
+  let start = startFrame;
+
+  for (let i = 0; i < segments; i++) {
+    const size = baseSize + (remainder > 0 ? 1 : 0);
+    remainder--;
+    ranges.push({ start, end: start + size });
+    start += size;
+  }
+
+  return ranges;
+}
+
+module.exports = {
+  splitFrameRanges
+};
@@ -0,0 +1,147 @@
+/**
+ * Stills - PNG, JPEG or WebP images of a page at chosen points of its
+ * timeline, for storyboards, thumbnails and QA snapshots
+ *
+ * The page is moved through virtual time exactly as for a video, but each
+ * capture is written straight to a file, so FFmpeg isn't involved. A contact
+ * sheet of the stills is laid out and screenshotted by the browser too.
+ */
+
+const path = require('path');
+const { parseDurationHint } = require('./duration');
+
+const STILL_FORMATS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp' };
+const MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+const DEFAULT_CONTACT_SHEET = {
+  columns: 4,
+  width: 320
+};
+// Space between and around the contact sheet's stills, in pixels
+const CONTACT_SHEET_GAP = 8;
+
+/**
+ * Parse the still times: "0,1.5,3s", "500ms", or an array of seconds and such strings
+ * @returns {number[]} Seconds, ascending and without repeats - virtual time only moves forward
+ */
+function parseStillTimes(value) {
+  const items = Array.isArray(value) ? value : String(value === undefined || value === null ? '' : value).split(',');
+  const times = items
+    .map(item => typeof item === 'string' ? item.trim() : item)
+    .filter(item => item !== '')
+    .map(item => {
+      try {
+        return parseDurationHint(item);
+      } catch (error) {
+        throw new Error(`Invalid still time: ${item}. Use seconds, e.g. 1.5 or "1.5s", or "1500ms"`);
+      }
+    });
+  if (times.length === 0) {
+    throw new Error('No still times given - use e.g. 0,1.5,3s');
+  }
+  return Array.from(new Set(times)).sort((a, b) => a - b);
+}
+
+/**
+ * Image format of the stills, from the format option or the output extension
+ * @returns {string} 'png', 'jpeg' or 'webp'
+ */
+function resolveStillFormat(format, output) {
+  if (format) {
+    const key = format.toLowerCase() === 'jpg' ? 'jpeg' : format.toLowerCase();
+    if (!Object.values(STILL_FORMATS).includes(key)) {
+      throw new Error(`Unknown still format: ${format}. Use png, jpeg or webp`);
+    }
+    return key;
+  }
+  return STILL_FORMATS[path.extname(output).toLowerCase()] || 'png';
+}
+
+/**
+ * File name of one still. The output may contain {index} (1-based), {time}
+ * (seconds) and {ms}; without them the time is appended, e.g. shot-001500ms.png.
+ */
+function getStillPath(output, format, still) {
+  const extension = path.extname(output) || `.${format === 'jpeg' ? 'jpg' : format}`;
+  const ms = Math.round(still.time * 1000);
+  if (/\{(index|time|ms)\}/.test(output)) {
+    return output
+      .replace(/\{index\}/g, String(still.index + 1))
+      .replace(/\{time\}/g, String(Number(still.time.toFixed(3))))
+      .replace(/\{ms\}/g, String(ms));
+  }
+  const base = output.slice(0, output.length - path.extname(output).length);
+  return `${base}-${String(ms).padStart(6, '0')}ms${extension}`;
+}
+
+/**
+ * Normalize the contactSheet option
+ * @param {boolean|object} option - true, or { columns, width, path }
+ * @param {string} output - Still file name pattern the default path is derived from
+ * @returns {object|null} { columns, width, path }
+ */
+function resolveContactSheet(option, output, format) {
+  if (!option) {
+    return null;
+  }
+  const value = typeof option === 'object' ? option : {};
+  const columns = parseInt(value.columns, 10) || DEFAULT_CONTACT_SHEET.columns;
+  const width = parseInt(value.width, 10) || DEFAULT_CONTACT_SHEET.width;
+  if (columns <= 0 || width <= 0) {
+    throw new Error(`Invalid contact sheet options: ${JSON.stringify(option)}`);
+  }
+
+  const extension = path.extname(output) || `.${format === 'jpeg' ? 'jpg' : format}`;
+  const base = output.slice(0, output.length - path.extname(output).length)
+    .replace(/[-_.]*\{(index|time|ms)\}/g, '');
+  return {
+    columns,
+    width,
+    path: path.resolve(process.cwd(), value.path || `${base}-contact-sheet${extension}`)
+  };
+}
+
+/**
+ * Page that lays the stills out in a labelled grid
+ * @param {object[]} stills - [{ time, image }] with the encoded image buffers
+ * @param {object} options - { columns, width, format }
+ * @returns {string} HTML
+ */
+function getContactSheetHtml(stills, options) {
+  const { columns, width, format } = options;
+  const cells = stills.map(still => `
+    <figure>
+      <img src="data:${MIME_TYPES[format]};base64,${still.image.toString('base64')}">
+      <figcaption>${formatStillTime(still.time)}</figcaption>
+    </figure>`).join('');
+
+  return `<!DOCTYPE html>
+<html><head><style>
+  html, body { margin: 0; background: #111; }
+  body { display: grid; grid-template-columns: repeat(${columns}, ${width}px); gap: ${CONTACT_SHEET_GAP}px; padding: ${CONTACT_SHEET_GAP}px; width: max-content; }
+  figure { margin: 0; }
+  img { display: block; width: ${width}px; height: auto; background: repeating-conic-gradient(#444 0 25%, #333 0 50%) 0 0 / 16px 16px; }
+  figcaption { font: 12px/20px monospace; color: #ddd; }
+</style></head><body>${cells}</body></html>`;
+}
+
+/**
+ * Viewport width that fits a contact sheet's columns
+ */
+function getContactSheetWidth(columns, width) {
+  return columns * width + (columns + 1) * CONTACT_SHEET_GAP;
+}
+
+function formatStillTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(3).padStart(6, '0')}`;
+}
+
+module.exports = {
+  parseStillTimes,
+  resolveStillFormat,
+  getStillPath,
+  resolveContactSheet,
+  getContactSheetHtml,
+  getContactSheetWidth
+};
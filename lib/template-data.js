@@ -0,0 +1,141 @@
+/**
+ * Data-driven templating - inject per-video data into the page and
+ * expand data files into one render per row
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Expose values on window.__html2video before any page script runs
+ * @param {object} page - Puppeteer page
+ * @param {object} values - Properties to merge into window.__html2video
+ */
+async function exposePageContext(page, values) {
+  await page.evaluateOnNewDocument((values) => {
+    window.__html2video = Object.assign(window.__html2video || {}, values);
+  }, values);
+}
+
+/**
+ * Parse CSV text into an array of row objects keyed by the header line
+ * Supports quoted fields with embedded commas, quotes and newlines
+ */
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  const rows = records.filter(r => r.length > 1 || r[0] !== '');
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(h => h.trim());
+  return rows.slice(1).map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index] : '';
+    });
+    return row;
+  });
+}
+
+/**
+ * Load template data from inline JSON or a .json/.csv file
+ * @param {string|object|Array} source - Data object, rows array, JSON string or file path
+ * @returns {Array<object>} One data object per video
+ */
+function loadDataRows(source) {
+  if (source === undefined || source === null) {
+    return [];
+  }
+
+  if (typeof source === 'object') {
+    return Array.isArray(source) ? source : [source];
+  }
+
+  const trimmed = source.trim();
+  let parsed;
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    parsed = JSON.parse(trimmed);
+  } else {
+    const filePath = path.resolve(process.cwd(), trimmed);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Data file not found: ${trimmed}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+      return parseCSV(content);
+    }
+    parsed = JSON.parse(content);
+  }
+
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+/**
+ * Build an output filename from a template such as "{name}-{id}.webm"
+ * {index} (1-based) and {basename} (input file name) are always available
+ * @param {string} template - Filename template
+ * @param {object} row - Data row
+ * @param {object} extras - Additional placeholder values
+ */
+function formatOutputName(template, row, extras = {}) {
+  const values = Object.assign({}, extras, row);
+
+  return template.replace(/\{([^}]+)\}/g, (match, key) => {
+    const value = values[key.trim()];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    // Keep row values from creating directories or invalid names
+    return String(value).replace(/[\\/:*?"<>|]+/g, '_').trim();
+  });
+}
+
+module.exports = {
+  exposePageContext,
+  parseCSV,
+  loadDataRows,
+  formatOutputName
+};
@@ -0,0 +1,81 @@
+/**
+ * Variants - one template rendered at several viewport sizes in one job,
+ * e.g. 16:9, 9:16, 1:1 and 4:5 cuts for social delivery
+ *
+ * Every variant is a full render on its own page with its own output and
+ * metadata. The page sees the active variant as window.__html2video.variant
+ * ({ name, width, height, aspectRatio }) before its scripts run, so responsive
+ * layouts can adapt.
+ */
+
+const path = require('path');
+
+/**
+ * Parse a size list such as "1920x1080,1080x1920" or "wide=1920x1080,story=1080x1920"
+ * @returns {object[]} [{ name, width, height }]
+ */
+function parseSizes(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const match = item.match(/^(?:([\w-]+)=)?(\d+)x(\d+)$/i);
+    if (!match) {
+      throw new Error(`Invalid size: ${item}. Use WIDTHxHEIGHT, optionally named as name=WIDTHxHEIGHT`);
+    }
+    const variant = { width: parseInt(match[2], 10), height: parseInt(match[3], 10) };
+    if (match[1]) {
+      variant.name = match[1];
+    }
+    return variant;
+  });
+}
+
+/**
+ * Normalize the variants option
+ * @param {string|Array} variants - A size list for parseSizes, or an array of
+ *   "WIDTHxHEIGHT" strings and { name, width, height, output } objects
+ * @param {string} output - Job output path; variant outputs default to <base>.<name><ext>
+ * @returns {object[]|null} [{ name, width, height, aspectRatio, output }], null without variants
+ */
+function resolveVariants(variants, output) {
+  if (!variants) {
+    return null;
+  }
+
+  const entries = typeof variants === 'string' ? parseSizes(variants) :
+    variants.map(variant => typeof variant === 'string' ? parseSizes(variant)[0] : variant);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const extension = path.extname(output);
+  const base = output.slice(0, output.length - extension.length);
+  const names = new Set();
+
+  return entries.map(entry => {
+    const width = parseInt(entry.width, 10);
+    const height = parseInt(entry.height, 10);
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error(`Invalid variant size: ${JSON.stringify(entry)}`);
+    }
+    const name = entry.name || `${width}x${height}`;
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid variant name ${JSON.stringify(name)}: use letters, digits, - and _`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate variant: ${name}`);
+    }
+    names.add(name);
+
+    return {
+      name,
+      width,
+      height,
+      aspectRatio: width / height,
+      output: path.resolve(process.cwd(), entry.output || `${base}.${name}${extension}`)
+    };
+  });
+}
+
+module.exports = {
+  parseSizes,
+  resolveVariants
+};
@@ -0,0 +1,84 @@
+/**
+ * Variable frame rate output - only frames that changed are encoded, each
+ * shown until the next change. Changed frames are written to a directory as
+ * they're captured and handed to FFmpeg as a concat list with per-frame
+ * durations, since piped images carry no timestamps.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFrameImage } = require('./frame-transport');
+
+/**
+ * Collect the changed frames of one encode
+ * @param {string} dir - Directory for the frame images, created here
+ * @param {number} fps - Capture frame rate
+ * @param {string} frameFormat - Frame transport format; raw frames are kept as PNG
+ * @returns {object} { add(frame, index), writeList(endIndex), count, remove() }
+ */
+function createVfrFrames(dir, fps, frameFormat) {
+  fs.mkdirSync(dir, { recursive: true });
+  const frames = [];
+
+  return {
+    /**
+     * Keep a changed frame
+     * @param {object} frame - From the frame transport; frames without their
+     *   encoded image (motion blur averages) are encoded as PNG
+     * @param {number} index - Output frame number it's shown from
+     */
+    add(frame, index) {
+      const { image, extension } = getFrameImage(frame, frameFormat);
+      const file = path.join(dir, `frame-${String(index).padStart(6, '0')}${extension}`);
+      fs.writeFileSync(file, image);
+      frames.push({ file, index });
+    },
+
+    /**
+     * Write the concat list, the last frame lasting until endIndex
+     * @returns {string} List path
+     */
+    writeList(endIndex) {
+      const quote = file => `'${file.replace(/'/g, "'\\''")}'`;
+      const lines = ['ffconcat version 1.0'];
+      frames.forEach((frame, i) => {
+        // The last frame's own slot comes from listing it again below
+        const next = i + 1 < frames.length ? frames[i + 1].index : endIndex - 1;
+        lines.push(`file ${quote(frame.file)}`);
+        if (next > frame.index) {
+          lines.push(`duration ${((next - frame.index) / fps).toFixed(6)}`);
+        }
+      });
+      // The concat demuxer drops the last duration, so a held last frame is
+      // listed again to be shown at the end
+      const last = frames[frames.length - 1];
+      if (last && endIndex - 1 > last.index) {
+        lines.push(`file ${quote(last.file)}`);
+      }
+
+      const listPath = path.join(dir, 'frames.txt');
+      fs.writeFileSync(listPath, lines.join('\n') + '\n');
+      return listPath;
+    },
+
+    get count() {
+      return frames.length;
+    },
+
+    remove() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * FFmpeg input arguments for a frame list from writeList
+ */
+function getVfrInputArgs(listPath) {
+  return ['-f', 'concat', '-safe', '0', '-i', listPath];
+}
+
+module.exports = {
+  createVfrFrames,
+  getVfrInputArgs
+};
@@ -11,10 +11,126 @@ const timewebLib = fs.readFileSync(
   { encoding: 'utf8' }
 );
 
-const overwriteTime = async function(page) {
-  // Inject timeweb before any page scripts run
-  await page.evaluateOnNewDocument(timewebLib);
-  
+/**
+ * Turn a clock start option into epoch milliseconds
+ * @param {number|string|Date} value - Epoch ms, numeric string or date string
+ * @returns {number|null} Epoch ms, or null to keep the real clock
+ */
+function resolveClockStart(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let time;
+  if (value instanceof Date) {
+    time = value.getTime();
+  } else if (typeof value === 'number' || /^-?\d+$/.test(String(value).trim())) {
+    time = Number(value);
+  } else {
+    time = Date.parse(value);
+  }
+
+  if (isNaN(time)) {
+    throw new Error(`Invalid clock start: ${value}. Use an ISO date or epoch milliseconds`);
+  }
+  return time;
+}
+
+/**
+ * Page script that makes Math.random and crypto.getRandomValues/randomUUID
+ * repeatable from a seed. Math.random and crypto draw from separate streams so
+ * one doesn't shift the other.
+ */
+function seedRandomness(seed) {
+  // cyrb-style string hash to a 32-bit state
+  function hashSeed(text) {
+    let h = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+      h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+      h = h << 13 | h >>> 19;
+    }
+    h = Math.imul(h ^ h >>> 16, 2246822507);
+    h = Math.imul(h ^ h >>> 13, 3266489909);
+    return (h ^ h >>> 16) >>> 0;
+  }
+
+  // mulberry32
+  function createGenerator(state) {
+    return function() {
+      state = state + 0x6D2B79F5 | 0;
+      let t = Math.imul(state ^ state >>> 15, 1 | state);
+      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+  }
+
+  const random = createGenerator(hashSeed(String(seed)));
+  const cryptoRandom = createGenerator(hashSeed(`${seed}:crypto`));
+
+  Math.random = random;
+
+  if (window.crypto && window.Crypto) {
+    const getRandomValues = function(array) {
+      if (!ArrayBuffer.isView(array) || array instanceof Float32Array || array instanceof Float64Array) {
+        throw new TypeError("Failed to execute 'getRandomValues' on 'Crypto': The provided ArrayBufferView is of an invalid type.");
+      }
+      const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(cryptoRandom() * 256);
+      }
+      return array;
+    };
+    Crypto.prototype.getRandomValues = getRandomValues;
+
+    if (Crypto.prototype.randomUUID) {
+      Crypto.prototype.randomUUID = function() {
+        const bytes = getRandomValues(new Uint8Array(16));
+        bytes[6] = bytes[6] & 0x0f | 0x40; // Version 4
+        bytes[8] = bytes[8] & 0x3f | 0x80; // RFC 4122 variant
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
+      };
+    }
+  }
+}
+
+/**
+ * Inject virtual time, plus the determinism layer when configured
+ * @param {object} page - Puppeteer page, before navigation
+ * @param {object} options - { seed, clockStart }
+ *   seed       - seeds Math.random and crypto.getRandomValues/randomUUID
+ *   clockStart - epoch ms (see resolveClockStart) that Date starts at instead of
+ *                the real time; performance.timeOrigin reports it too
+ */
+const overwriteTime = async function(page, options = {}) {
+  const clockStart = resolveClockStart(options.clockStart);
+
+  if (options.seed !== undefined && options.seed !== null) {
+    await page.evaluateOnNewDocument(seedRandomness, options.seed);
+  }
+
+  if (clockStart === null) {
+    // Inject timeweb before any page scripts run
+    await page.evaluateOnNewDocument(timewebLib);
+  } else {
+    // timeweb reads its Date epoch from Date.now() once while loading, so pin
+    // it for that moment only
+    await page.evaluateOnNewDocument(`(function() {
+      var RealDate = Date;
+      var realNow = RealDate.now;
+      RealDate.now = function() { return ${clockStart}; };
+      try {
+        ${timewebLib}
+      } finally {
+        RealDate.now = realNow;
+      }
+      Object.defineProperty(Performance.prototype, 'timeOrigin', {
+        get: function() { return ${clockStart}; },
+        configurable: true
+      });
+    })();`);
+  }
+
   // Initialize at time 0
   await page.evaluateOnNewDocument(() => {
     // Ensure timeweb starts at 0
@@ -29,6 +145,10 @@ const overwriteTime = async function(page) {
 const goToTimeAndAnimateForCapture = async function(page, time) {
   // Go to specific time and process all animations
   await page.evaluate((ms) => {
+    // Media sync (see media-sync.js) also seeks embedded media and waits for their frames
+    if (window.__html2videoMediaSync) {
+      return window.__html2videoMediaSync(ms);
+    }
     if (window.timeweb) {
       window.timeweb.goTo(ms);
     }
@@ -37,5 +157,7 @@ const goToTimeAndAnimateForCapture = async function(page, time) {
 
 module.exports = {
   overwriteTime,
-  goToTimeAndAnimateForCapture
-};
\ No newline at end of file
+  goToTimeAndAnimateForCapture,
+  resolveClockStart,
+  seedRandomness
+};
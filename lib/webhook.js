@@ -93,6 +93,8 @@ const WEBHOOK_EVENTS = {
   JOB_PROGRESS: 'job.progress', 
   JOB_COMPLETED: 'job.completed',
   JOB_FAILED: 'job.failed',
+  JOB_MARKER: 'job.marker',
+  JOB_CHAPTER: 'job.chapter',
   BATCH_STARTED: 'batch.started',
   BATCH_PROGRESS: 'batch.progress',
   BATCH_COMPLETED: 'batch.completed',
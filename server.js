@@ -6,7 +6,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
-const capture = require('./index');
+const { Renderer, stills: renderStills } = require('./index');
+const { createBrowserPool } = require('./lib/browser-pool');
+const { OUTPUT_FORMATS, resolveOutputFormat, getSequencePattern, getOutputFiles } = require('./lib/output-formats');
+const { resolveVariants } = require('./lib/variants');
+const { resolveRateControl } = require('./lib/rate-control');
 const { 
   detectHardwareCapabilities, 
   getOptimizedFFmpegArgs, 
@@ -52,6 +56,13 @@ const upload = multer({
 // Store active generation jobs
 const activeJobs = new Map();
 
+// Warm browsers shared by all generation jobs
+const renderPool = createBrowserPool({
+  browsers: parseInt(process.env.RENDER_BROWSERS, 10) || 1,
+  pagesPerBrowser: parseInt(process.env.RENDER_PAGES_PER_BROWSER, 10) || 2,
+  maxJobsPerBrowser: 50
+});
+
 /**
  * Generate unique job ID
  */
@@ -62,7 +73,7 @@ function generateJobId() {
 /**
  * Update video registry with new video
  */
-function updateVideoRegistry(videoPath, metadataPath) {
+function updateVideoRegistry(videoPath, metadataPath, metadata = {}) {
   try {
     const registryPath = './video-registry.json';
     let registry = { videos: [], lastUpdated: new Date().toISOString() };
@@ -71,10 +82,12 @@ function updateVideoRegistry(videoPath, metadataPath) {
       registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
     }
     
-    // Read metadata to get video info
-    let metadata = {};
-    if (fs.existsSync(metadataPath)) {
-      metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    // An image sequence is listed by its first frame - no file has the output's own name
+    const definition = OUTPUT_FORMATS[metadata.format];
+    const sequenceFiles = definition && definition.sequence ? getOutputFiles(videoPath, metadata.format) : null;
+    const sequence = sequenceFiles ? { pattern: getSequencePattern(videoPath), frames: sequenceFiles.length } : undefined;
+    if (sequenceFiles && sequenceFiles.length > 0) {
+      videoPath = sequenceFiles[0];
     }
     
     const videoInfo = {
@@ -82,11 +95,17 @@ function updateVideoRegistry(videoPath, metadataPath) {
       metadataPath: metadataPath,
       filename: path.basename(videoPath),
       directory: path.dirname(videoPath),
+      sequence,
       generatedAt: new Date().toISOString(),
       fileSize: metadata.fileSize ? `${metadata.fileSize.toFixed(2)} MB` : 'Unknown',
       resolution: metadata.width && metadata.height ? `${metadata.width}x${metadata.height}` : 'Unknown',
       duration: metadata.duration ? `${metadata.duration}s` : 'Unknown',
-      fps: metadata.fps ? `${metadata.fps} fps` : 'Unknown'
+      fps: metadata.fps ? `${metadata.fps} fps` : 'Unknown',
+      format: metadata.format || 'webm',
+      // Preview images, served from the same static root as the video
+      poster: metadata.poster ? path.relative(process.cwd(), metadata.poster.path) : null,
+      sprite: metadata.sprite ? path.relative(process.cwd(), metadata.sprite.path) : null,
+      thumbnails: metadata.sprite ? path.relative(process.cwd(), metadata.sprite.vtt) : null
     };
     
     // Remove any existing entry with the same path
@@ -191,19 +210,59 @@ app.post('/api/generate', async (req, res) => {
     const {
       htmlFile,
       duration = 5,
+      maxDuration = null,
+      trimStillEnd = false,
+      pageErrors = 'warn',
+      vfr = false,
+      poster = null,
+      sprite = null,
+      timeout = null,
+      frameTimeout = null,
+      keepPartial = false,
       fps = 60,
       width = 1920,
       height = 1080,
+      variants = null,
+      variantConcurrency = 1,
       quality = 23,
+      bitrate = null,
+      maxBitrate = null,
+      bufferSize = null,
+      targetSize = null,
       selector = 'body',
       enableRecordingControl = false,
-      waitForStartSignal = false
+      waitForStartSignal = false,
+      readiness = {},
+      segments = 1,
+      startFrame = null,
+      endFrame = null,
+      startTime = null,
+      format = 'webm',
+      liveSegmentDuration = null,
+      layers = null,
+      data = null,
+      seed = null,
+      clockStart = null,
+      mediaSync = null,
+      motionBlur = null,
+      supersample = 1,
+      background = 'transparent',
+      audio = null,
+      capturePageAudio = false
     } = req.body;
     
     if (!htmlFile) {
       return res.status(400).json({ error: 'HTML file is required' });
     }
     
+    let outputFormat;
+    try {
+      outputFormat = resolveOutputFormat(format, null);
+      resolveRateControl({ bitrate, maxBitrate, bufferSize, targetSize }, OUTPUT_FORMATS[outputFormat]);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
     const jobId = generateJobId();
     const outputDir = './output';
     
@@ -213,7 +272,15 @@ app.post('/api/generate', async (req, res) => {
     }
     
     const basename = path.basename(htmlFile, '.html');
-    const outputPath = path.join(outputDir, `${basename}-${Date.now()}.webm`);
+    const outputPath = path.join(outputDir, `${basename}-${Date.now()}${OUTPUT_FORMATS[outputFormat].extension}`);
+    
+    // Each size is rendered to its own file next to outputPath
+    let variantOutputs = null;
+    try {
+      variantOutputs = resolveVariants(variants, path.resolve(outputPath));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
     // Create job object
     const job = {
@@ -224,15 +291,49 @@ app.post('/api/generate', async (req, res) => {
       settings: {
         htmlFile,
         duration,
+        maxDuration,
+        trimStillEnd,
+        pageErrors,
+        vfr,
+        poster,
+        sprite,
+        timeout,
+        frameTimeout,
+        keepPartial,
         fps,
         width,
         height,
+        variants,
+        variantConcurrency,
         quality,
+        bitrate,
+        maxBitrate,
+        bufferSize,
+        targetSize,
         selector,
         enableRecordingControl,
-        waitForStartSignal
+        waitForStartSignal,
+        readiness,
+        segments,
+        startFrame,
+        endFrame,
+        startTime,
+        format: outputFormat,
+        liveSegmentDuration,
+        layers,
+        data,
+        seed,
+        clockStart,
+        mediaSync,
+        motionBlur,
+        supersample,
+        background,
+        audio,
+        capturePageAudio
       },
       outputPath,
+      variantNames: variantOutputs ? variantOutputs.map(variant => variant.name) : null,
+      abortController: new AbortController(), // Cancels the render
       clients: new Set() // SSE clients for this job
     };
     
@@ -244,7 +345,11 @@ app.post('/api/generate', async (req, res) => {
     res.json({
       jobId,
       message: 'Video generation started',
-      outputPath
+      outputPath,
+      variants: variantOutputs ? variantOutputs.map(variant => ({
+        name: variant.name,
+        outputPath: path.relative(process.cwd(), variant.output)
+      })) : undefined
     });
     
   } catch (error) {
@@ -253,6 +358,85 @@ app.post('/api/generate', async (req, res) => {
   }
 });
 
+/**
+ * Save stills of a page at chosen times, answering once they're written
+ */
+app.post('/api/stills', async (req, res) => {
+  const {
+    htmlFile,
+    at,
+    format = 'png',
+    width = 1920,
+    height = 1080,
+    selector = 'body',
+    readiness = {},
+    data = null,
+    seed = null,
+    clockStart = null,
+    mediaSync = null,
+    supersample = 1,
+    background = 'transparent',
+    contactSheet = null,
+    pageErrors = 'warn',
+    timeout = null,
+    frameTimeout = null
+  } = req.body;
+  
+  if (!htmlFile) {
+    return res.status(400).json({ error: 'HTML file is required' });
+  }
+  if (at === undefined || at === null || at === '') {
+    return res.status(400).json({ error: 'Still times (at) are required' });
+  }
+  
+  const outputDir = './output';
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  const basename = path.basename(htmlFile, '.html');
+  const extension = format === 'jpeg' || format === 'jpg' ? '.jpg' : `.${format}`;
+  
+  try {
+    const result = await renderStills({
+      url: htmlFile,
+      output: path.join(outputDir, `${basename}-${Date.now()}${extension}`),
+      at,
+      format,
+      width,
+      height,
+      selector,
+      readiness,
+      data: data || undefined,
+      seed,
+      clockStart,
+      mediaSync,
+      supersample,
+      background,
+      // The sheet is always written next to the stills
+      contactSheet: contactSheet ? Object.assign({}, contactSheet, { path: undefined }) : null,
+      pageErrors,
+      timeout: timeout || undefined,
+      frameTimeout: frameTimeout || undefined,
+      quiet: true,
+      pool: renderPool
+    });
+    
+    res.json({
+      stills: result.stills.map(still => ({
+        time: still.time,
+        path: path.relative(process.cwd(), still.path)
+      })),
+      contactSheet: result.contactSheet ? path.relative(process.cwd(), result.contactSheet.path) : null,
+      pageLog: result.pageLog
+    });
+  } catch (error) {
+    console.error('Stills error:', error);
+    // Bad times, formats and backgrounds are the request's fault
+    const invalid = /^(Invalid|Unknown|No still times|Stills are saved)/.test(error.message);
+    res.status(invalid ? 400 : 500).json({ error: error.message });
+  }
+});
+
 /**
  * Get job progress via Server-Sent Events
  */
@@ -290,6 +474,23 @@ app.get('/api/progress/:jobId', (req, res) => {
   });
 });
 
+/**
+ * Cancel a running generation job
+ */
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+  const job = activeJobs.get(req.params.jobId);
+  
+  if (!job || !job.abortController) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+  
+  job.abortController.abort();
+  res.json({ jobId: job.id, message: 'Cancelling' });
+});
+
 /**
  * Get list of generated videos
  */
@@ -313,7 +514,7 @@ app.get('/api/videos', (req, res) => {
 app.get('/api/metadata/:filename', (req, res) => {
   try {
     const filename = req.params.filename;
-    const metadataPath = `./output/${filename.replace('.webm', '.metadata.json')}`;
+    const metadataPath = `./output/${filename.replace(/\.[^.]+$/, '.metadata.json')}`;
     
     if (fs.existsSync(metadataPath)) {
       const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
@@ -399,21 +600,26 @@ app.post('/api/convert/:filename', async (req, res) => {
 app.delete('/api/video/:filename', (req, res) => {
   try {
     const filename = req.params.filename;
+    const registryPath = './video-registry.json';
+    const registry = fs.existsSync(registryPath) ? JSON.parse(fs.readFileSync(registryPath, 'utf8')) : null;
+    const entry = registry ? registry.videos.find(v => v.filename === filename) : null;
     const videoPath = `./output/${filename}`;
-    const metadataPath = `./output/${filename.replace('.webm', '.metadata.json')}`;
-    
-    // Delete files if they exist
-    if (fs.existsSync(videoPath)) {
-      fs.unlinkSync(videoPath);
-    }
+    const metadataPath = entry && entry.sequence ? entry.metadataPath :
+      `./output/${filename.replace(/\.[^.]+$/, '.metadata.json')}`;
+    
+    // Delete files if they exist; an image sequence goes frame by frame
+    const files = entry && entry.sequence ? getOutputFiles(entry.sequence.pattern, entry.format) : [videoPath];
+    files.forEach(file => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
     if (fs.existsSync(metadataPath)) {
       fs.unlinkSync(metadataPath);
     }
     
     // Update registry
-    const registryPath = './video-registry.json';
-    if (fs.existsSync(registryPath)) {
-      const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    if (registry) {
       registry.videos = registry.videos.filter(v => v.filename !== filename);
       registry.lastUpdated = new Date().toISOString();
       fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2));
@@ -537,38 +743,95 @@ async function generateVideo(job) {
       url: job.settings.htmlFile,
       output: job.outputPath,
       duration: job.settings.duration,
+      maxDuration: job.settings.maxDuration || undefined,
+      trimStillEnd: job.settings.trimStillEnd,
+      pageErrors: job.settings.pageErrors,
+      vfr: job.settings.vfr,
+      poster: job.settings.poster,
+      sprite: job.settings.sprite,
+      signal: job.abortController.signal,
+      timeout: job.settings.timeout || undefined,
+      frameTimeout: job.settings.frameTimeout || undefined,
+      keepPartial: job.settings.keepPartial,
       fps: job.settings.fps,
       width: job.settings.width,
       height: job.settings.height,
+      variants: job.settings.variants || undefined,
+      variantConcurrency: job.settings.variantConcurrency,
       quality: job.settings.quality,
+      bitrate: job.settings.bitrate,
+      maxBitrate: job.settings.maxBitrate,
+      bufferSize: job.settings.bufferSize,
+      targetSize: job.settings.targetSize,
       selector: job.settings.selector,
       enableRecordingControl: job.settings.enableRecordingControl,
       waitForStartSignal: job.settings.waitForStartSignal,
+      readiness: job.settings.readiness,
+      segments: job.settings.segments,
+      startFrame: job.settings.startFrame,
+      endFrame: job.settings.endFrame,
+      startTime: job.settings.startTime || 0,
+      format: job.settings.format,
+      // hls/dash playlists are served from /output while they're written
+      liveSegmentDuration: job.settings.liveSegmentDuration || undefined,
+      layers: job.settings.layers || undefined,
+      data: job.settings.data || undefined,
+      seed: job.settings.seed,
+      clockStart: job.settings.clockStart,
+      mediaSync: job.settings.mediaSync,
+      motionBlur: job.settings.motionBlur,
+      supersample: job.settings.supersample,
+      background: job.settings.background,
+      audio: job.settings.audio || undefined,
+      capturePageAudio: job.settings.capturePageAudio,
       generateMetadata: true,
       quiet: true,
       jobId: job.id,
-      // Custom progress callback
-      onProgress: (framesCaptured, totalFrames, captureRate, elapsed) => {
-        if (job.settings.enableRecordingControl && !totalFrames) {
-          // Recording control mode - show frames captured
-          job.progress = framesCaptured;
-          job.message = `Recording... ${framesCaptured} frames captured (${captureRate.toFixed(1)} fps)`;
+      pool: renderPool
+    };
+    
+    const renderer = new Renderer(config);
+    // Progress of each variant, averaged over all of them
+    const variantProgress = {};
+    renderer.on('progress', ({ variant, framesCaptured, totalFrames, progress, captureRate }) => {
+      const label = variant ? `[${variant}] ` : '';
+      if (totalFrames === undefined) {
+        // Recording control mode - show frames captured
+        job.progress = framesCaptured;
+        job.message = `${label}Recording... ${framesCaptured} frames captured (${captureRate.toFixed(1)} fps)`;
+      } else {
+        // Fixed duration mode - show percentage
+        if (variant) {
+          variantProgress[variant] = progress;
+          const total = Object.values(variantProgress).reduce((sum, value) => sum + value, 0);
+          job.progress = Math.round(total / job.variantNames.length);
         } else {
-          // Fixed duration mode - show percentage
-          job.progress = Math.round((framesCaptured / totalFrames) * 100);
-          const remaining = (totalFrames - framesCaptured) / captureRate;
-          job.message = `Capturing frames... ${framesCaptured}/${totalFrames} (${job.progress}% - ETA: ${remaining.toFixed(0)}s)`;
+          job.progress = Math.round(progress);
         }
-        broadcastJobUpdate(job);
+        const remaining = (totalFrames - framesCaptured) / captureRate;
+        job.message = `${label}Capturing frames... ${framesCaptured}/${totalFrames} (${job.progress}% - ETA: ${remaining.toFixed(0)}s)`;
       }
-    };
-    
-    // Use the existing capture function
-    await capture(config);
+      broadcastJobUpdate(job);
+    });
+    renderer.on('encoded', () => {
+      broadcastJobUpdate(job, 'Video encoded, finishing up...');
+    });
     
-    // Update registry with the new video
-    const metadataPath = job.outputPath.replace('.webm', '.metadata.json');
-    updateVideoRegistry(job.outputPath, metadataPath);
+    const result = await renderer.render();
+    
+    // Update registry with the new video, each variant and each layer
+    (Array.isArray(result) ? result.filter(Boolean) : [result || {}]).forEach(metadata => {
+      const videoPath = metadata.variant ? path.relative(process.cwd(), metadata.outputFile) : job.outputPath;
+      const metadataPath = videoPath.replace(/\.[^.]+$/, '.metadata.json');
+      if (metadata.layers) {
+        metadata.layers.forEach(layer => {
+          updateVideoRegistry(path.relative(process.cwd(), layer.outputFile), metadataPath,
+            Object.assign({}, metadata, { fileSize: layer.fileSizeBytes / (1024 * 1024) }));
+        });
+      } else {
+        updateVideoRegistry(videoPath, metadataPath, metadata);
+      }
+    });
     
     job.status = 'completed';
     job.progress = 100;
@@ -584,9 +847,10 @@ async function generateVideo(job) {
     
   } catch (error) {
     console.error('Video generation failed:', error);
-    job.status = 'failed';
+    job.status = error.reason === 'cancelled' ? 'cancelled' : 'failed';
+    job.reason = error.reason || 'error';
     job.error = error.message;
-    job.message = `Generation failed: ${error.message}`;
+    job.message = job.status === 'cancelled' ? 'Generation cancelled' : `Generation failed: ${error.message}`;
     broadcastJobUpdate(job);
     
     // Clean up failed job after 1 minute
@@ -610,6 +874,7 @@ function broadcastJobUpdate(job, message = null) {
     progress: job.progress,
     message: job.message,
     error: job.error,
+    reason: job.reason,
     outputPath: job.outputPath
   };
   
@@ -635,6 +900,14 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: error.message });
 });
 
+// Close pooled browsers on shutdown
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    await renderPool.close();
+    process.exit(0);
+  });
+});
+
 // Start server
 app.listen(PORT, async () => {
   console.log(`🚀 Fast HTML2Video Server running at http://localhost:${PORT}`);
@@ -643,6 +916,11 @@ app.listen(PORT, async () => {
   // Initialize hardware detection
   await initializeHardwareDetection();
   
+  // Start browsers now so the first job doesn't pay for the launch
+  renderPool.warmUp().catch(error => {
+    console.warn('⚠️ Browser warm-up failed:', error.message);
+  });
+  
   console.log('📋 Available endpoints:');
   console.log('   • GET  /viewers/generate-video.html - Video generation interface');
   console.log('   • GET  /viewers/view-video.html - Video viewer interface');
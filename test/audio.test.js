@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getAudioMuxArgs, getAudioCodecForOutput } = require('../lib/audio');
+
+const track = {
+  source: 'file',
+  path: '/music.mp3',
+  inputArgs: [],
+  offset: 0,
+  trimStart: 0,
+  trimEnd: null,
+  fadeIn: 0,
+  fadeOut: 0,
+  volume: 1,
+  loop: false
+};
+
+test('getAudioCodecForOutput picks the codec from the format, not the file name', () => {
+  assert.strictEqual(getAudioCodecForOutput('mp4').codec, 'aac');
+  assert.strictEqual(getAudioCodecForOutput('prores').codec, 'aac');
+  assert.strictEqual(getAudioCodecForOutput('webm').codec, 'opus');
+});
+
+test('getAudioMuxArgs names the muxer and keeps MP4 faststart', () => {
+  const args = getAudioMuxArgs('out.video.bin', [track], 'out.bin', 2, 'mp4');
+  assert.deepStrictEqual(args.slice(-5), ['-movflags', '+faststart', '-f', 'mp4', 'out.bin']);
+  assert.ok(args.includes('aac'));
+});
+
+test('getAudioMuxArgs writes WebM with Opus', () => {
+  const args = getAudioMuxArgs('out.video.webm', [track], 'out.webm', 2, 'webm');
+  assert.deepStrictEqual(args.slice(-3), ['-f', 'webm', 'out.webm']);
+  assert.ok(args.includes('libopus'));
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveBackground,
+  capturesTransparency,
+  keepsAlpha,
+  isComposited,
+  getBackgroundInputArgs
+} = require('../lib/background');
+
+function withFiles(names, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html2video-background-'));
+  try {
+    names.forEach(name => fs.writeFileSync(path.join(dir, name), 'media'));
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('transparent is the default and page keeps the page background', () => {
+  assert.deepStrictEqual(resolveBackground(undefined), { type: 'transparent' });
+  assert.deepStrictEqual(resolveBackground('transparent'), { type: 'transparent' });
+  assert.deepStrictEqual(resolveBackground('page'), { type: 'page' });
+});
+
+test('hex colours and colour names are colours, short hex expanded', () => {
+  assert.deepStrictEqual(resolveBackground('#1e1e2e'), { type: 'color', color: '#1e1e2e' });
+  assert.deepStrictEqual(resolveBackground('#fA0'), { type: 'color', color: '#ffAA00' });
+  assert.deepStrictEqual(resolveBackground('#11223380'), { type: 'color', color: '#11223380' });
+  assert.deepStrictEqual(resolveBackground(' DarkSlateGray '), { type: 'color', color: 'DarkSlateGray' });
+  assert.deepStrictEqual(resolveBackground({ type: 'color', color: '#000' }), { type: 'color', color: '#000000' });
+});
+
+test('anything else that is not a file is rejected', () => {
+  assert.throws(() => resolveBackground('#12345'), /Invalid background: #12345/);
+  assert.throws(() => resolveBackground('missing.png'), /Invalid background: missing.png/);
+  assert.throws(() => resolveBackground({ type: 'image', path: 'missing.png' }), /Background file not found: missing.png/);
+});
+
+test('existing files are images by extension, otherwise videos', () => {
+  withFiles(['backdrop.JPG', 'loop.mp4'], dir => {
+    assert.deepStrictEqual(resolveBackground(path.join(dir, 'backdrop.JPG')),
+      { type: 'image', path: path.join(dir, 'backdrop.JPG') });
+    assert.deepStrictEqual(resolveBackground(path.join(dir, 'loop.mp4')),
+      { type: 'video', path: path.join(dir, 'loop.mp4') });
+    assert.deepStrictEqual(resolveBackground({ type: 'video', path: path.join(dir, 'loop.mp4') }),
+      { type: 'video', path: path.join(dir, 'loop.mp4') });
+  });
+});
+
+test('a file wins over a colour name of the same name', () => {
+  withFiles(['white'], dir => {
+    const cwd = process.cwd();
+    process.chdir(dir);
+    try {
+      assert.deepStrictEqual(resolveBackground('white'), { type: 'video', path: path.join(dir, 'white') });
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
+
+test('only transparent keeps alpha, and only page captures the page background', () => {
+  const types = ['transparent', 'page', 'color', 'image', 'video'].map(type => ({ type }));
+  assert.deepStrictEqual(types.map(capturesTransparency), [true, false, true, true, true]);
+  assert.deepStrictEqual(types.map(keepsAlpha), [true, false, false, false, false]);
+  assert.deepStrictEqual(types.map(isComposited), [false, false, true, true, true]);
+});
+
+test('getBackgroundInputArgs builds the second FFmpeg input', () => {
+  assert.deepStrictEqual(getBackgroundInputArgs({ type: 'color', color: '#000000' }, 30),
+    ['-f', 'lavfi', '-i', 'color=c=#000000:r=30']);
+  assert.deepStrictEqual(getBackgroundInputArgs({ type: 'image', path: '/bg.png' }, 30),
+    ['-loop', '1', '-framerate', '30', '-i', '/bg.png']);
+  assert.deepStrictEqual(getBackgroundInputArgs({ type: 'video', path: '/bg.mp4' }, 30),
+    ['-stream_loop', '-1', '-i', '/bg.mp4']);
+  assert.deepStrictEqual(getBackgroundInputArgs({ type: 'video', path: '/bg.mp4' }, 30, 2.5),
+    ['-stream_loop', '-1', '-ss', '2.500', '-i', '/bg.mp4']);
+  assert.deepStrictEqual(getBackgroundInputArgs({ type: 'transparent' }, 30), []);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+const { createBrowserPool } = require('../lib/browser-pool');
+
+// Browser stand-in with just what the pool and virtual time injection use
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.process = () => null;
+  browser.createBrowserContext = async () => ({
+    newPage: async () => Object.assign(new EventEmitter(), {
+      setViewport: async () => {},
+      evaluateOnNewDocument: async () => {}
+    }),
+    close: async () => {}
+  });
+  browser.close = async () => browser.crash();
+  browser.crash = () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  return browser;
+}
+
+function stubLaunch(t) {
+  const browsers = [];
+  t.mock.method(puppeteer, 'launch', async () => {
+    const browser = fakeBrowser();
+    browsers.push(browser);
+    return browser;
+  });
+  return browsers;
+}
+
+// Fails instead of hanging when the pool never hands out a page
+function acquireWithin(pool, ms = 1000) {
+  let timer;
+  return Promise.race([
+    pool.acquire(),
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('acquire() did not resolve')), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+test('jobs reuse a warm browser', async t => {
+  const browsers = stubLaunch(t);
+  const pool = createBrowserPool({ browsers: 1, pagesPerBrowser: 1 });
+  await (await acquireWithin(pool)).release();
+  await (await acquireWithin(pool)).release();
+  assert.strictEqual(browsers.length, 1);
+  assert.strictEqual(pool.stats().activeJobs, 0);
+  await pool.close();
+});
+
+test('a retired browser that already disconnected frees its slot', async t => {
+  const browsers = stubLaunch(t);
+  const pool = createBrowserPool({ browsers: 1, pagesPerBrowser: 1 });
+  const lease = await acquireWithin(pool);
+  browsers[0].crash();
+  await lease.release({ retire: true });
+
+  await (await acquireWithin(pool)).release();
+  assert.strictEqual(browsers.length, 2);
+  assert.strictEqual(pool.stats().restarts, 1);
+  await pool.close();
+});
+
+test('a browser at its job limit that already disconnected frees its slot', async t => {
+  const browsers = stubLaunch(t);
+  const pool = createBrowserPool({ browsers: 1, pagesPerBrowser: 1, maxJobsPerBrowser: 1 });
+  const lease = await acquireWithin(pool);
+  browsers[0].crash();
+  await lease.release();
+
+  const next = await acquireWithin(pool);
+  await next.release();
+  assert.strictEqual(browsers.length, 2);
+  await pool.close();
+});
+
+test('a browser is recycled after maxJobsPerBrowser jobs', async t => {
+  const browsers = stubLaunch(t);
+  const pool = createBrowserPool({ browsers: 1, pagesPerBrowser: 1, maxJobsPerBrowser: 2 });
+  for (let i = 0; i < 3; i++) {
+    await (await acquireWithin(pool)).release();
+  }
+  assert.strictEqual(browsers.length, 2);
+  assert.strictEqual(browsers[0].connected, false);
+  await pool.close();
+});
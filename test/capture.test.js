@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getEventListeners } = require('events');
+const capture = require('..');
+
+// Pool that counts the pages asked of it; no test here should get that far
+function countingPool() {
+  const pool = { acquired: 0 };
+  pool.acquire = async () => {
+    pool.acquired++;
+    throw new Error('No page should be loaded');
+  };
+  return pool;
+}
+
+test('a bad page error policy rejects before the job starts', async () => {
+  const pool = countingPool();
+  const controller = new AbortController();
+  await assert.rejects(capture({
+    url: 'about:blank',
+    output: 'never.webm',
+    duration: 'auto',
+    pageErrors: 'explode',
+    signal: controller.signal,
+    timeout: 60000,
+    pool,
+    quiet: true
+  }), /Invalid page error policy: explode/);
+  assert.strictEqual(pool.acquired, 0);
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('a bad page error policy rejects stills before any page is loaded', async () => {
+  const pool = countingPool();
+  const controller = new AbortController();
+  await assert.rejects(capture.stills({
+    url: 'about:blank',
+    output: 'never.png',
+    at: [0],
+    pageErrors: 'explode',
+    signal: controller.signal,
+    pool,
+    quiet: true
+  }), /Invalid page error policy/);
+  assert.strictEqual(pool.acquired, 0);
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('an audio track on a format without audio rejects before the job starts', async () => {
+  const pool = countingPool();
+  const controller = new AbortController();
+  await assert.rejects(capture({
+    url: 'about:blank',
+    output: 'never.gif',
+    duration: 'auto',
+    capturePageAudio: true,
+    signal: controller.signal,
+    pool,
+    quiet: true
+  }), /can't carry audio/);
+  assert.strictEqual(pool.acquired, 0);
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openCheckpoint, splitIntoChunks } = require('../lib/checkpoint');
+
+function withWorkDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html2video-checkpoint-'));
+  try {
+    return fn(path.join(dir, 'work'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Finish a piece the way a render does: write its file, then record it
+function finish(checkpoint, workDir, start, end) {
+  const range = { start, end, output: path.join(workDir, `piece-${start}.webm`) };
+  fs.writeFileSync(range.output, 'frames');
+  checkpoint.complete(range);
+  return range;
+}
+
+test('splitIntoChunks cuts a range into pieces of at most the chunk size', () => {
+  assert.deepStrictEqual(splitIntoChunks(10, 35, 10), [
+    { start: 10, end: 20 },
+    { start: 20, end: 30 },
+    { start: 30, end: 35 }
+  ]);
+});
+
+test('a resume with the same settings keeps finished pieces', () => withWorkDir(workDir => {
+  const settings = { fps: 30, width: 640 };
+  const first = openCheckpoint(workDir, settings);
+  finish(first, workDir, 0, 10);
+  first.setPageAudio([{ path: 'a.mp3' }]);
+
+  const resumed = openCheckpoint(workDir, settings, { resume: true });
+  const range = { start: 0, end: 10 };
+  assert.strictEqual(resumed.isComplete(range), true);
+  assert.strictEqual(range.output, path.join(workDir, 'piece-0.webm'));
+  assert.strictEqual(resumed.isComplete({ start: 10, end: 20 }), false);
+  assert.strictEqual(resumed.completedFrames, 10);
+  assert.deepStrictEqual(resumed.pageAudio, [{ path: 'a.mp3' }]);
+}));
+
+test('a resume with different settings is refused', () => withWorkDir(workDir => {
+  openCheckpoint(workDir, { fps: 30 });
+  assert.throws(() => openCheckpoint(workDir, { fps: 60 }, { resume: true }), /different settings/);
+}));
+
+test('pieces whose files are gone are rendered again', () => withWorkDir(workDir => {
+  const first = openCheckpoint(workDir, {});
+  const lost = finish(first, workDir, 0, 10);
+  finish(first, workDir, 10, 20);
+  fs.rmSync(lost.output);
+
+  const resumed = openCheckpoint(workDir, {}, { resume: true });
+  assert.strictEqual(resumed.isComplete({ start: 0, end: 10 }), false);
+  assert.strictEqual(resumed.isComplete({ start: 10, end: 20 }), true);
+}));
+
+test('starting over removes the earlier pieces, and remove() cleans up', () => withWorkDir(workDir => {
+  const first = openCheckpoint(workDir, {});
+  const piece = finish(first, workDir, 0, 10);
+
+  const messages = [];
+  const fresh = openCheckpoint(workDir, {}, { log: message => messages.push(message) });
+  assert.strictEqual(fs.existsSync(piece.output), false);
+  assert.strictEqual(fresh.completedFrames, 0);
+  assert.deepStrictEqual(messages, []);
+
+  fresh.remove();
+  assert.strictEqual(fs.existsSync(workDir), false);
+}));
+
+test('a resume without a checkpoint starts from the first frame', () => withWorkDir(workDir => {
+  const messages = [];
+  const checkpoint = openCheckpoint(workDir, {}, { resume: true, log: message => messages.push(message) });
+  assert.strictEqual(checkpoint.completedFrames, 0);
+  assert.match(messages[0], /No checkpoint found/);
+}));
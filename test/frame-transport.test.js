@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFrameTransport, getFrameInputArgs } = require('../lib/frame-transport');
+
+// Page whose CDP session answers beginFrame from a list of results
+function fakePage(beginFrames) {
+  const calls = [];
+  const session = {
+    async send(method) {
+      calls.push(method);
+      if (method === 'HeadlessExperimental.beginFrame') {
+        return beginFrames.shift() || {};
+      }
+      return { data: Buffer.from('cdp').toString('base64') };
+    },
+    async detach() {}
+  };
+  return { calls, page: { createCDPSession: async () => session } };
+}
+
+const painted = text => ({ screenshotData: Buffer.from(text).toString('base64') });
+
+test('beginframe repeats the previous frame when nothing was painted', async () => {
+  const { page } = fakePage([painted('a'), {}]);
+  const transport = await createFrameTransport(page, { method: 'beginframe', transparent: false });
+  const first = await transport.capture();
+  const second = await transport.capture();
+  assert.strictEqual(first.duplicate, false);
+  assert.strictEqual(second.duplicate, true);
+  assert.strictEqual(second.image.toString(), 'a');
+  assert.strictEqual(transport.method, 'beginframe');
+});
+
+test('beginframe logs and falls back to CDP when the first frame has no image', async () => {
+  const { page, calls } = fakePage([{}]);
+  const messages = [];
+  const transport = await createFrameTransport(page, {
+    method: 'beginframe',
+    transparent: false,
+    log: message => messages.push(message)
+  });
+  const frame = await transport.capture();
+  assert.strictEqual(frame.image.toString(), 'cdp');
+  assert.strictEqual(transport.method, 'cdp');
+  assert.ok(calls.includes('Page.captureScreenshot'));
+  assert.match(messages.join('\n'), /no image for the first frame/);
+});
+
+test('getFrameInputArgs needs the frame size for raw input', () => {
+  assert.throws(() => getFrameInputArgs('raw', 30), /exact frame dimensions/);
+  assert.deepStrictEqual(getFrameInputArgs('raw', 30, { width: 4, height: 2 }).slice(4, 6), ['-s', '4x2']);
+});
+
+test('beginframe is refused for a selector, since it captures the whole viewport', async () => {
+  const capture = require('..');
+  const pool = {
+    acquire: async () => {
+      throw new Error('No page should be loaded');
+    }
+  };
+  await assert.rejects(capture({
+    url: 'about:blank',
+    output: 'never.webm',
+    frameTransport: 'beginframe',
+    selector: '#stage',
+    pool,
+    quiet: true
+  }), /beginframe transport captures the full viewport/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { resolveLayers, checkLayerSelectors } = require('../lib/layers');
+
+// Page that runs evaluate() against a document whose querySelector rejects some selectors
+function fakePage(isInvalid) {
+  return {
+    async evaluate(fn, ...args) {
+      global.document = {
+        querySelector(selector) {
+          if (isInvalid(selector)) {
+            throw new SyntaxError(`'${selector}' is not a valid selector`);
+          }
+          return null;
+        }
+      };
+      try {
+        return fn(...args);
+      } finally {
+        delete global.document;
+      }
+    }
+  };
+}
+
+test('no layers resolve to null', () => {
+  assert.strictEqual(resolveLayers(null, 'out.mp4', '.mp4'), null);
+  assert.strictEqual(resolveLayers([], 'out.mp4', '.mp4'), null);
+  assert.strictEqual(resolveLayers({}, 'out.mp4', '.mp4'), null);
+});
+
+test('layers keyed by name take their outputs from the job output', () => {
+  const layers = resolveLayers({ logo: '#logo', bg: { selector: '.bg', output: 'back.mov' } }, 'scene.mov', '.mp4');
+  assert.deepStrictEqual(layers.map(layer => [layer.name, layer.selector, layer.output]), [
+    ['logo', '#logo', path.resolve('scene.logo.mov')],
+    ['bg', '.bg', path.resolve('back.mov')]
+  ]);
+});
+
+test('an output without an extension uses the format extension', () => {
+  const [layer] = resolveLayers([{ name: 'logo', selector: '#logo' }], 'scene', '.webm');
+  assert.strictEqual(layer.output, path.resolve('scene.logo.webm'));
+});
+
+test('isolate and layer CSS are combined', () => {
+  const [plain, isolated] = resolveLayers([
+    { name: 'a', selector: '#a' },
+    { name: 'b', selector: '#b', isolate: true, css: '.x { opacity: 0; }' }
+  ], 'out.mp4', '.mp4');
+  assert.strictEqual(plain.css, null);
+  assert.match(isolated.css, /^body \* \{ visibility: hidden !important; \}/);
+  assert.match(isolated.css, /:is\(#b\), :is\(#b\) \*/);
+  assert.match(isolated.css, /\.x \{ opacity: 0; \}$/);
+});
+
+test('layers need a selector and a usable, unique name', () => {
+  assert.throws(() => resolveLayers([{ name: 'a' }], 'out.mp4', '.mp4'), /Layer a needs a selector/);
+  assert.throws(() => resolveLayers([{ selector: '#a' }], 'out.mp4', '.mp4'), /Invalid layer name undefined for #a/);
+  assert.throws(() => resolveLayers({ 'a/b': '#a' }, 'out.mp4', '.mp4'), /Invalid layer name "a\/b"/);
+  assert.throws(() => resolveLayers([
+    { name: 'a', selector: '#a' },
+    { name: 'a', selector: '#b' }
+  ], 'out.mp4', '.mp4'), /Duplicate layer name: a/);
+});
+
+test('valid layer selectors pass the page check', async () => {
+  const layers = resolveLayers({ logo: '#logo', bg: '.bg' }, 'out.mp4', '.mp4');
+  await checkLayerSelectors(fakePage(() => false), layers);
+});
+
+test('a selector the page rejects fails with the layer name', async () => {
+  const layers = resolveLayers({ logo: '#logo', bg: 'div[' }, 'out.mp4', '.mp4');
+  await assert.rejects(checkLayerSelectors(fakePage(selector => selector.includes('div[')), layers),
+    /Invalid selector for layer bg: div\[/);
+});
+
+test('a selector that only fails inside :is() is rejected', async () => {
+  const layers = resolveLayers({ glow: '.title::before' }, 'out.mp4', '.mp4');
+  await assert.rejects(checkLayerSelectors(fakePage(selector => selector.startsWith(':is(') && selector.includes('::')), layers),
+    /Invalid selector for layer glow/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { MEDIA_ADAPTERS, resolveMediaAdapters, injectMediaSync } = require('../lib/media-sync');
+
+test('resolveMediaAdapters defaults to video and accepts lists, all and none', () => {
+  assert.deepStrictEqual(resolveMediaAdapters(undefined), ['video']);
+  assert.deepStrictEqual(resolveMediaAdapters(false), []);
+  assert.deepStrictEqual(resolveMediaAdapters('none'), []);
+  assert.deepStrictEqual(resolveMediaAdapters(true), MEDIA_ADAPTERS);
+  assert.deepStrictEqual(resolveMediaAdapters('all'), MEDIA_ADAPTERS);
+  assert.deepStrictEqual(resolveMediaAdapters(' Video, GSAP '), ['video', 'gsap']);
+  assert.deepStrictEqual(resolveMediaAdapters(['lottie', 'waapi']), ['lottie', 'waapi']);
+  assert.throws(() => resolveMediaAdapters('video,flash'), /Unknown media sync adapter: flash/);
+});
+
+// Install the page script in a fresh global with a Web Animation and a GSAP timeline
+async function syncedPage(adapters) {
+  let script;
+  await injectMediaSync({
+    async evaluateOnNewDocument(fn, ...args) {
+      script = `(${fn})(...${JSON.stringify(args)})`;
+    }
+  }, adapters);
+
+  const animation = { currentTime: 400, playbackRate: 2, paused: false, pause() { this.paused = true; } };
+  const timeline = {
+    time: 1.5,
+    paused: false,
+    pause() { this.paused = true; },
+    totalTime(seconds) {
+      if (seconds === undefined) {
+        return this.time;
+      }
+      this.time = seconds;
+    }
+  };
+  const context = vm.createContext({
+    setTimeout,
+    document: {
+      getAnimations: () => [animation],
+      querySelectorAll: () => []
+    },
+    gsap: { globalTimeline: timeline, ticker: { lagSmoothing() {} } }
+  });
+  vm.runInContext('var window = this;', context);
+  vm.runInContext(script, context);
+  return { animation, timeline, sync: ms => context.__html2videoMediaSync(ms) };
+}
+
+test('Web Animations and GSAP keep their offset from when they were first seen', async () => {
+  const { animation, timeline, sync } = await syncedPage(['waapi', 'gsap']);
+  await sync(1000);
+  assert.strictEqual(animation.paused, true);
+  assert.strictEqual(animation.currentTime, 400);
+  assert.strictEqual(timeline.paused, true);
+  assert.strictEqual(timeline.time, 1.5);
+
+  await sync(1500);
+  assert.strictEqual(animation.currentTime, 1400);
+  assert.strictEqual(timeline.time, 2);
+});
+
+test('adapters that are not enabled leave their runtime alone', async () => {
+  const { animation, timeline, sync } = await syncedPage(['video']);
+  await sync(1000);
+  assert.strictEqual(animation.paused, false);
+  assert.strictEqual(timeline.paused, false);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveMotionBlur, getSubFrameOffsets, averageFrames } = require('../lib/motion-blur');
+
+test('resolveMotionBlur takes a sample count or settings and defaults to a 180 degree shutter', () => {
+  assert.deepStrictEqual(resolveMotionBlur(4), { samples: 4, shutterAngle: 180 });
+  assert.deepStrictEqual(resolveMotionBlur('8'), { samples: 8, shutterAngle: 180 });
+  assert.deepStrictEqual(resolveMotionBlur({ samples: 3, shutterAngle: 360 }), { samples: 3, shutterAngle: 360 });
+});
+
+test('one sample or none turns motion blur off', () => {
+  assert.strictEqual(resolveMotionBlur(undefined), null);
+  assert.strictEqual(resolveMotionBlur(0), null);
+  assert.strictEqual(resolveMotionBlur(1), null);
+  assert.strictEqual(resolveMotionBlur({ samples: 'many' }), null);
+});
+
+test('the shutter angle must be more than 0 and up to 360 degrees', () => {
+  assert.throws(() => resolveMotionBlur({ samples: 4, shutterAngle: 0 }), /Invalid shutter angle 0/);
+  assert.throws(() => resolveMotionBlur({ samples: 4, shutterAngle: 361 }), /Invalid shutter angle 361/);
+  assert.throws(() => resolveMotionBlur({ samples: 4, shutterAngle: 'wide' }), /Invalid shutter angle wide/);
+});
+
+test('sub-frame offsets spread over the open shutter', () => {
+  assert.deepStrictEqual(getSubFrameOffsets({ samples: 4, shutterAngle: 180 }, 40), [0, 5, 10, 15]);
+  assert.deepStrictEqual(getSubFrameOffsets({ samples: 2, shutterAngle: 360 }, 40), [0, 20]);
+});
+
+const pixel = (...values) => Buffer.from(values);
+
+test('averageFrames weights colour by alpha', () => {
+  const opaqueRed = pixel(255, 0, 0, 255);
+  const transparent = pixel(0, 0, 0, 0);
+  assert.deepStrictEqual(averageFrames([opaqueRed, transparent]), pixel(255, 0, 0, 128));
+  assert.deepStrictEqual(averageFrames([pixel(0, 0, 0, 255), pixel(255, 255, 255, 255)]), pixel(128, 128, 128, 255));
+  assert.deepStrictEqual(averageFrames([transparent, transparent]), transparent);
+});
+
+test('averageFrames rejects samples of different sizes', () => {
+  assert.throws(() => averageFrames([pixel(0, 0, 0, 255), pixel(0, 0, 0, 255, 0, 0, 0, 255)]),
+    /Motion blur samples must all be the same size/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveOutputFormat,
+  getSequencePattern,
+  getOutputFiles,
+  getEncoderArgs,
+  getRemuxArgs
+} = require('../lib/output-formats');
+
+test('resolveOutputFormat prefers the format option over the extension', () => {
+  assert.strictEqual(resolveOutputFormat(null, 'out.mp4'), 'mp4');
+  assert.strictEqual(resolveOutputFormat(null, 'out.MOV'), 'prores');
+  assert.strictEqual(resolveOutputFormat('HEVC', 'out.webm'), 'hevc');
+  assert.strictEqual(resolveOutputFormat(null, 'out.unknown'), 'webm');
+  assert.throws(() => resolveOutputFormat('avi', 'out.avi'), /Unknown output format: avi/);
+});
+
+test('getSequencePattern numbers the frames before the extension', () => {
+  assert.strictEqual(getSequencePattern('out/shot.png'), 'out/shot-%05d.png');
+  assert.strictEqual(getSequencePattern('out/shot-%03d.png'), 'out/shot-%03d.png');
+});
+
+test('getOutputFiles lists the numbered frames of a sequence', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html2video-formats-'));
+  try {
+    ['shot-00002.png', 'shot-00001.png', 'shot-x.png', 'other-00001.png'].forEach(file => {
+      fs.writeFileSync(path.join(dir, file), '');
+    });
+    assert.deepStrictEqual(getOutputFiles(path.join(dir, 'shot.png'), 'png'), [
+      path.join(dir, 'shot-00001.png'),
+      path.join(dir, 'shot-00002.png')
+    ]);
+    assert.deepStrictEqual(getOutputFiles(path.join(dir, 'out.mp4'), 'mp4'), [path.join(dir, 'out.mp4')]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('getEncoderArgs pads H.264 to even dimensions and names the muxer', () => {
+  const { args, codec, pixelFormat } = getEncoderArgs('mp4', { quality: 20 });
+  assert.strictEqual(codec, 'h264');
+  assert.strictEqual(pixelFormat, 'yuv420p');
+  assert.deepStrictEqual(args.slice(0, 2), ['-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2']);
+  assert.ok(args.join(' ').includes('-crf 20'));
+  assert.deepStrictEqual(args.slice(-4), ['-movflags', '+faststart', '-f', 'mp4']);
+});
+
+test('getEncoderArgs fragments streamed MP4 and picks the opaque pixel format', () => {
+  const { args } = getEncoderArgs('prores', { stream: true, alpha: false });
+  assert.ok(args.includes('yuv444p10le'));
+  assert.ok(args.includes('frag_keyframe+empty_moov+default_base_moof'));
+});
+
+test('getEncoderArgs starts a PNG sequence at the given frame number', () => {
+  const { args } = getEncoderArgs('png', { startNumber: 30 });
+  assert.deepStrictEqual(args.slice(-4), ['-start_number', '30', '-f', 'image2']);
+});
+
+test('getRemuxArgs keeps faststart for MP4 and defaults to the WebM muxer', () => {
+  assert.deepStrictEqual(getRemuxArgs('hevc'), ['-movflags', '+faststart', '-f', 'mp4']);
+  assert.deepStrictEqual(getRemuxArgs('prores'), ['-f', 'mov']);
+  assert.deepStrictEqual(getRemuxArgs('webm'), ['-f', 'webm']);
+});
+
+test('live playlists are picked by extension and list their segments', () => {
+  assert.strictEqual(resolveOutputFormat(null, 'live/show.m3u8'), 'hls');
+  assert.strictEqual(resolveOutputFormat(null, 'live/show.mpd'), 'dash');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html2video-formats-'));
+  try {
+    ['show1.ts', 'show0.ts', 'show-init-0.m4s', 'show.json', 'other0.ts'].forEach(file => {
+      fs.writeFileSync(path.join(dir, file), '');
+    });
+    assert.deepStrictEqual(getOutputFiles(path.join(dir, 'show.m3u8'), 'hls'), [
+      path.join(dir, 'show.m3u8'),
+      path.join(dir, 'show-init-0.m4s'),
+      path.join(dir, 'show0.ts'),
+      path.join(dir, 'show1.ts')
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('getEncoderArgs writes HLS as an event playlist with keyframes on segment boundaries', () => {
+  const { args } = getEncoderArgs('hls', { segmentDuration: 4 });
+  const line = args.join(' ');
+  assert.ok(line.includes('-force_key_frames expr:gte(t,n_forced*4) -sc_threshold 0'));
+  assert.ok(line.includes('-hls_time 4 -hls_list_size 0 -hls_playlist_type event'));
+  assert.deepStrictEqual(args.slice(-2), ['-f', 'hls']);
+});
+
+test('getEncoderArgs names DASH segments after the output', () => {
+  const { args } = getEncoderArgs('dash', { outputName: 'show' });
+  const line = args.join(' ');
+  assert.ok(line.includes('-force_key_frames expr:gte(t,n_forced*2)'));
+  assert.ok(line.includes('-seg_duration 2'));
+  assert.ok(line.includes('-init_seg_name show-init-$RepresentationID$.m4s'));
+  assert.ok(line.includes('-media_seg_name show-$RepresentationID$-$Number%05d$.m4s'));
+  assert.deepStrictEqual(args.slice(-2), ['-f', 'dash']);
+});
+
+test('getEncoderArgs names the muxer for a stream, which has no extension', () => {
+  assert.deepStrictEqual(getEncoderArgs('webm', { stream: true }).args.slice(-2), ['-f', 'webm']);
+  assert.ok(!getEncoderArgs('webm').args.includes('-f'));
+  assert.ok(getEncoderArgs('mp4', { stream: true }).args.includes('frag_keyframe+empty_moov+default_base_moof'));
+});
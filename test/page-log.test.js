@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { resolvePageErrorPolicy, createPageLog } = require('../lib/page-log');
+
+// Page that emits Puppeteer-shaped events
+function fakePage() {
+  const page = new EventEmitter();
+  page.console = (type, text) => page.emit('console', { type: () => type, text: () => text });
+  page.error = message => page.emit('pageerror', new Error(message));
+  page.requestFailed = (url, errorText) => page.emit('requestfailed', {
+    url: () => url,
+    failure: () => ({ errorText })
+  });
+  page.response = (url, status, statusText) => page.emit('response', {
+    url: () => url,
+    status: () => status,
+    statusText: () => statusText
+  });
+  return page;
+}
+
+test('resolvePageErrorPolicy defaults to warn and rejects unknown policies', () => {
+  assert.strictEqual(resolvePageErrorPolicy(undefined), 'warn');
+  assert.strictEqual(resolvePageErrorPolicy('ignore'), 'ignore');
+  assert.strictEqual(resolvePageErrorPolicy('fail'), 'fail');
+  assert.throws(() => resolvePageErrorPolicy('strict'), /Invalid page error policy: strict. Use ignore, warn, fail/);
+});
+
+test('entries are stamped with the virtual time of the page', () => {
+  const pageLog = createPageLog({ policy: 'ignore' });
+  const page = fakePage();
+  const tracker = pageLog.watch(page);
+  page.console('log', 'ready');
+  tracker.setTime(1500);
+  page.error('boom');
+  assert.deepStrictEqual(pageLog.entries, [
+    { type: 'console', level: 'log', message: 'ready', time: 0 },
+    { type: 'pageerror', level: 'error', message: 'boom', time: 1.5 }
+  ]);
+});
+
+test('warn logs failures without failing the render', () => {
+  const messages = [];
+  const pageLog = createPageLog({ log: message => messages.push(message) });
+  const page = fakePage();
+  const tracker = pageLog.watch(page);
+  tracker.setTime(250);
+  page.response('https://cdn.test/logo.png', 404, 'Not Found');
+  page.response('https://cdn.test/favicon.ico', 404, 'Not Found');
+  page.console('warn', 'deprecated');
+  tracker.check();
+  assert.deepStrictEqual(messages, ['Warning: HTTP 404 Not Found https://cdn.test/logo.png at 0.250s']);
+});
+
+test('fail throws the first failure at the next check', () => {
+  const pageLog = createPageLog({ policy: 'fail' });
+  const page = fakePage();
+  const tracker = pageLog.watch(page);
+  tracker.check();
+  page.error('first');
+  page.error('second');
+  assert.throws(() => tracker.check(), error => {
+    assert.strictEqual(error.message, 'Page error: uncaught first at 0.000s');
+    assert.strictEqual(error.pageEvent.message, 'first');
+    return true;
+  });
+});
+
+test('aborted requests are warnings, other network failures are errors', () => {
+  const pageLog = createPageLog({ policy: 'fail' });
+  const page = fakePage();
+  pageLog.watch(page);
+  page.requestFailed('https://cdn.test/clip.mp4', 'net::ERR_ABORTED');
+  pageLog.check();
+  page.requestFailed('https://cdn.test/font.woff2', 'net::ERR_NAME_NOT_RESOLVED');
+  assert.throws(() => pageLog.check(), /request failed \(net::ERR_NAME_NOT_RESOLVED\) https:\/\/cdn.test\/font.woff2/);
+});
+
+test('summary counts errors and warnings and can keep only the first few', () => {
+  const pageLog = createPageLog({ policy: 'ignore' });
+  const page = fakePage();
+  pageLog.watch(page);
+  page.console('log', 'ready');
+  page.console('warn', 'slow');
+  page.error('first');
+  page.error('second');
+
+  const summary = pageLog.summary();
+  assert.strictEqual(summary.policy, 'ignore');
+  assert.strictEqual(summary.errors, 2);
+  assert.strictEqual(summary.warnings, 1);
+  assert.strictEqual(summary.entries.length, 4);
+  assert.deepStrictEqual(pageLog.summary({ limit: 2 }).entries.map(entry => entry.message), ['slow', 'first']);
+});
+
+test('entries past the limit are counted as dropped', () => {
+  const pageLog = createPageLog({ policy: 'ignore' });
+  const page = fakePage();
+  pageLog.watch(page);
+  for (let i = 0; i < 1005; i++) {
+    page.console('log', `frame ${i}`);
+  }
+  const summary = pageLog.summary();
+  assert.strictEqual(summary.entries.length, 1000);
+  assert.strictEqual(summary.dropped, 5);
+});
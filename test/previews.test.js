@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolvePreviews, createPreviewCollector, getThumbnailsVtt } = require('../lib/previews');
+
+test('resolvePreviews takes a poster time, frame or path', () => {
+  const { poster, sprite } = resolvePreviews({ poster: 2.5 }, 'out/video.mp4');
+  assert.deepStrictEqual(poster, { time: 2.5, frame: null, path: path.resolve('out/video.poster.png') });
+  assert.strictEqual(sprite, null);
+
+  assert.strictEqual(resolvePreviews({ poster: true }, 'v.webm').poster.time, 0);
+  assert.strictEqual(resolvePreviews({ poster: { frame: 90, path: 'p.jpg' } }, 'v.webm').poster.path, path.resolve('p.jpg'));
+  assert.strictEqual(resolvePreviews({}, 'v.webm'), null);
+});
+
+test('resolvePreviews fills in the sprite defaults and paths', () => {
+  const { sprite } = resolvePreviews({ sprite: true }, 'out/video.mp4');
+  assert.deepStrictEqual(sprite, {
+    interval: 1,
+    width: 160,
+    columns: 10,
+    path: path.resolve('out/video.sprite.jpg'),
+    vtt: path.resolve('out/video.sprite.vtt')
+  });
+  assert.strictEqual(resolvePreviews({ sprite: 2 }, 'v.webm').sprite.interval, 2);
+});
+
+test('resolvePreviews rejects bad options and streamed output without paths', () => {
+  assert.throws(() => resolvePreviews({ poster: -1 }, 'v.webm'), /Invalid poster position/);
+  assert.throws(() => resolvePreviews({ poster: { frame: 1.5 } }, 'v.webm'), /Invalid poster position/);
+  assert.throws(() => resolvePreviews({ sprite: { width: -5 } }, 'v.webm'), /Invalid sprite options/);
+  assert.throws(() => resolvePreviews({ poster: 1 }, null), /Streamed output has no file name/);
+  assert.strictEqual(resolvePreviews({ poster: { time: 1, path: 'p.png' } }, null).poster.path, path.resolve('p.png'));
+});
+
+test('getThumbnailsVtt points each interval at its tile', () => {
+  const vtt = getThumbnailsVtt({ count: 3, interval: 1, duration: 2.5, width: 160, height: 90, columns: 2, image: 's.jpg' });
+  assert.strictEqual(vtt, [
+    'WEBVTT', '',
+    '00:00:00.000 --> 00:00:01.000', 's.jpg#xywh=0,0,160,90', '',
+    '00:00:01.000 --> 00:00:02.000', 's.jpg#xywh=160,0,160,90', '',
+    '00:00:02.000 --> 00:00:02.500', 's.jpg#xywh=0,90,160,90', ''
+  ].join('\n'));
+});
+
+test('a poster in trimmed frames falls back to the last frame written', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'html2video-previews-'));
+  try {
+    const previews = resolvePreviews({ poster: { frame: 8, path: path.join(root, 'poster.png') } }, null);
+    // Record the FFmpeg runs instead of spawning FFmpeg
+    const ffmpegRuns = [];
+    const collector = createPreviewCollector(previews, {
+      dir: path.join(root, 'frames'),
+      fps: 10,
+      frameFormat: 'png',
+      runFFmpeg: async args => ffmpegRuns.push(args)
+    });
+    const frames = ['a', 'b', 'c', 'c', 'c', 'c', 'c', 'c', 'c'];
+    frames.forEach((text, index) => {
+      collector.add(index, { image: Buffer.from(text), duplicate: index > 0 && text === frames[index - 1] });
+    });
+
+    // Frames 3 onwards were still and trimmed, leaving three in the video
+    const result = await collector.finish({ frames: 3, supersample: 1 });
+    assert.deepStrictEqual(result.poster, { path: previews.poster.path, frame: 2, time: 0.2 });
+    const input = ffmpegRuns[0][ffmpegRuns[0].indexOf('-i') + 1];
+    assert.strictEqual(fs.readFileSync(input, 'utf8'), 'c');
+    collector.remove();
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
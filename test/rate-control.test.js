@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OUTPUT_FORMATS, getEncoderArgs } = require('../lib/output-formats');
+const {
+  parseBitrate,
+  resolveRateControl,
+  getTargetSizeBitrate,
+  getRateControlArgs,
+  getPassArgs,
+  describeRateControl
+} = require('../lib/rate-control');
+
+test('parseBitrate reads bits per second with k and M units', () => {
+  assert.strictEqual(parseBitrate('800k'), 800000);
+  assert.strictEqual(parseBitrate('2.5M'), 2500000);
+  assert.strictEqual(parseBitrate('1200kbps'), 1200000);
+  assert.strictEqual(parseBitrate(64000), 64000);
+  assert.strictEqual(parseBitrate(''), null);
+  assert.throws(() => parseBitrate('fast'), /Invalid bitrate: fast/);
+  assert.throws(() => parseBitrate('0k'), /Invalid bitrate/);
+});
+
+test('resolveRateControl picks the mode from the options given', () => {
+  const mp4 = OUTPUT_FORMATS.mp4;
+  assert.strictEqual(resolveRateControl({}, mp4).mode, 'crf');
+  assert.deepStrictEqual(resolveRateControl({ maxBitrate: '4M' }, mp4), {
+    mode: 'vbr', bitrate: null, maxBitrate: 4000000, bufferSize: 8000000, targetSize: null, twoPass: false
+  });
+  assert.strictEqual(resolveRateControl({ bitrate: '2M', maxBitrate: '3M', bufferSize: '1M' }, mp4).bufferSize, 1000000);
+  assert.deepStrictEqual(resolveRateControl({ targetSize: '8' }, mp4), {
+    mode: 'size', bitrate: null, maxBitrate: null, bufferSize: null, targetSize: 8, twoPass: true
+  });
+});
+
+test('resolveRateControl rejects conflicting options and codecs without bitrate control', () => {
+  const mp4 = OUTPUT_FORMATS.mp4;
+  assert.throws(() => resolveRateControl({ bitrate: '1M', targetSize: 4 }, mp4), /not both/);
+  assert.throws(() => resolveRateControl({ bufferSize: '1M' }, mp4), /only applies with a maximum bitrate/);
+  assert.throws(() => resolveRateControl({ bitrate: '2M', maxBitrate: '1M' }, mp4), /below the average bitrate/);
+  assert.throws(() => resolveRateControl({ targetSize: -1 }, mp4), /Invalid target size/);
+  assert.throws(() => resolveRateControl({ bitrate: '1M' }, OUTPUT_FORMATS.gif), /Animated GIF has no bitrate control/);
+  assert.strictEqual(resolveRateControl({}, OUTPUT_FORMATS.gif).mode, 'crf');
+});
+
+test('getTargetSizeBitrate fits the video and soundtrack into the budget', () => {
+  const rateControl = resolveRateControl({ targetSize: 1 }, OUTPUT_FORMATS.mp4);
+  // 1MB less 2% headroom over 8 seconds, less 64 kbps of audio
+  assert.strictEqual(getTargetSizeBitrate(rateControl, 8, 64000), Math.floor(1024 * 1024 * 8 * 0.98 / 8 - 64000));
+  const capped = resolveRateControl({ targetSize: 100, maxBitrate: '1M' }, OUTPUT_FORMATS.mp4);
+  assert.strictEqual(getTargetSizeBitrate(capped, 8), 1000000);
+  assert.throws(() => getTargetSizeBitrate(rateControl, 600, 160000), /1MB is too small for 600\.0s of video with a soundtrack at 160 kbps/);
+});
+
+test('getRateControlArgs gives each mode its encoder options', () => {
+  const vbr = resolveRateControl({ maxBitrate: '4M' }, OUTPUT_FORMATS.webm);
+  assert.deepStrictEqual(getRateControlArgs('h264', 23, null), ['-crf', '23']);
+  assert.deepStrictEqual(getRateControlArgs('vp9', 30, null), ['-crf', '30', '-b:v', '0']);
+  assert.deepStrictEqual(getRateControlArgs('h264', 23, vbr), ['-crf', '23', '-maxrate', '4000000', '-bufsize', '8000000']);
+  assert.deepStrictEqual(getRateControlArgs('vp9', 30, vbr),
+    ['-crf', '30', '-b:v', '4000000', '-maxrate', '4000000', '-bufsize', '8000000']);
+  assert.deepStrictEqual(getRateControlArgs('h264', 23, resolveRateControl({ bitrate: '2M' }, OUTPUT_FORMATS.mp4)),
+    ['-b:v', '2000000']);
+});
+
+test('a size budget has no bitrate until the duration is known', () => {
+  const size = resolveRateControl({ targetSize: 4, maxBitrate: '2M' }, OUTPUT_FORMATS.mp4);
+  assert.deepStrictEqual(getRateControlArgs('h264', 23, size), ['-maxrate', '2000000', '-bufsize', '4000000']);
+  size.bitrate = 1500000;
+  assert.deepStrictEqual(getRateControlArgs('h264', 23, size).slice(0, 2), ['-b:v', '1500000']);
+});
+
+test('getPassArgs uses x265 parameters for HEVC', () => {
+  assert.deepStrictEqual(getPassArgs('h264', 1, '/tmp/pass'), ['-pass', '1', '-passlogfile', '/tmp/pass']);
+  assert.deepStrictEqual(getPassArgs('hevc', 2, '/tmp/pass'), ['-x265-params', 'pass=2:stats=/tmp/pass.log']);
+});
+
+test('the first pass only collects statistics', () => {
+  const rateControl = Object.assign(resolveRateControl({ targetSize: 4 }, OUTPUT_FORMATS.mp4), { bitrate: 1000000 });
+  const { args } = getEncoderArgs('mp4', { rateControl, pass: { number: 1, logFile: 'p' } });
+  assert.deepStrictEqual(args.slice(-2), ['-f', 'null']);
+  assert.ok(args.join(' ').includes('-b:v 1000000 -pass 1 -passlogfile p'));
+});
+
+test('describeRateControl reports the achieved bitrate against the target', () => {
+  const rateControl = Object.assign(resolveRateControl({ targetSize: 1 }, OUTPUT_FORMATS.mp4), { bitrate: 900000 });
+  assert.deepStrictEqual(describeRateControl(rateControl, 1000000, 8), {
+    mode: 'size',
+    targetBitrate: 900000,
+    maxBitrate: undefined,
+    bufferSize: undefined,
+    targetSizeBytes: 1048576,
+    twoPass: true,
+    achievedBitrate: 1000000,
+    withinTarget: true
+  });
+});
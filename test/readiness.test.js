@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveReadinessGates, waitForReadiness } = require('../lib/readiness');
+
+// Page whose evaluate() answers from a function of the call's argument
+function fakePage(answer) {
+  return {
+    async evaluate(fn, ...args) {
+      return answer(...args);
+    },
+    async waitForNetworkIdle() {}
+  };
+}
+
+test('gates are ordered and take their values and timeouts', () => {
+  const gates = resolveReadinessGates({
+    expression: 'window.loaded',
+    selector: { value: '#chart', timeout: 500 },
+    fonts: true,
+    networkIdle: { idleTime: 250 },
+    timeout: 1000
+  });
+  assert.deepStrictEqual(gates, [
+    { name: 'networkIdle', value: 250, timeout: 1000 },
+    { name: 'fonts', value: true, timeout: 1000 },
+    { name: 'selector', value: '#chart', timeout: 500 },
+    { name: 'expression', value: 'window.loaded', timeout: 1000 }
+  ]);
+});
+
+test('without options only recording control adds a gate, which never times out', () => {
+  assert.deepStrictEqual(resolveReadinessGates(), []);
+  assert.deepStrictEqual(resolveReadinessGates({}, { started: false }), [
+    { name: 'startSignal', value: undefined, timeout: 0 }
+  ]);
+  assert.deepStrictEqual(resolveReadinessGates({ startSignal: true }), []);
+});
+
+test('gates are waited for in order', async () => {
+  const seen = [];
+  let polls = 0;
+  const page = fakePage(value => {
+    seen.push(value);
+    return value === '#chart' || ++polls > 1;
+  });
+  const gates = resolveReadinessGates({ selector: '#chart', expression: 'window.ready' });
+  const results = await waitForReadiness(page, gates);
+  assert.deepStrictEqual(results.map(result => result.gate), ['selector', 'expression']);
+  assert.deepStrictEqual(seen, ['#chart', 'window.ready', 'window.ready']);
+});
+
+test('a gate that is never met times out with its name', async () => {
+  const gates = resolveReadinessGates({ selector: { value: '#missing', timeout: 50 } });
+  await assert.rejects(waitForReadiness(fakePage(() => false), gates), error => {
+    assert.match(error.message, /Readiness gate selector "#missing" timed out after 50ms/);
+    assert.strictEqual(error.gate, 'selector');
+    return true;
+  });
+});
+
+test('a gate whose check throws fails the wait', async () => {
+  const page = fakePage(() => {
+    throw new Error('window.ready is not defined');
+  });
+  const gates = resolveReadinessGates({ expression: 'window.ready' });
+  await assert.rejects(waitForReadiness(page, gates),
+    /Readiness gate expression "window.ready" failed: window.ready is not defined/);
+});
+
+test('the start signal gate waits for the page to start or stop recording', async () => {
+  const control = { started: false, stopped: false };
+  setTimeout(() => {
+    control.started = true;
+  }, 20);
+  const gates = resolveReadinessGates({}, control);
+  const results = await waitForReadiness(fakePage(() => true), gates, { control });
+  assert.deepStrictEqual(results.map(result => result.gate), ['startSignal']);
+});
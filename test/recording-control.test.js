@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getChapterMetadata, getChapterMuxArgs } = require('../lib/recording-control');
+
+test('getChapterMetadata runs each chapter until the next one or the end', () => {
+  const metadata = getChapterMetadata([
+    { time: 0, title: 'Intro' },
+    { time: 1.5, title: 'A=B; #1' }
+  ], 4);
+  assert.strictEqual(metadata, [
+    ';FFMETADATA1',
+    '[CHAPTER]', 'TIMEBASE=1/1000', 'START=0', 'END=1500', 'title=Intro',
+    '[CHAPTER]', 'TIMEBASE=1/1000', 'START=1500', 'END=4000', 'title=A\\=B\\; \\#1',
+    ''
+  ].join('\n'));
+});
+
+test('getChapterMuxArgs keeps the output format and MP4 faststart', () => {
+  const args = getChapterMuxArgs('out.mp4', 'out.mp4.chapters.txt', 'out.chapters.mp4', 'mp4');
+  assert.deepStrictEqual(args.slice(-5), ['-movflags', '+faststart', '-f', 'mp4', 'out.chapters.mp4']);
+  assert.deepStrictEqual(getChapterMuxArgs('a.webm', 'c.txt', 'b.webm', 'webm').slice(-3), ['-f', 'webm', 'b.webm']);
+});
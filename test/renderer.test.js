@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Renderer } = require('..');
+
+// Page that calls the recording control function it was given once it navigates
+function fakePool(action) {
+  const page = {
+    async exposeFunction(name, fn) {
+      page[name] = fn;
+    },
+    async evaluateOnNewDocument() {},
+    async goto() {
+      await page.__recordingControl(action);
+    },
+    async evaluate() {},
+    on() {}
+  };
+  return {
+    async acquire() {
+      return { page, release: async () => {} };
+    }
+  };
+}
+
+function withOutputDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html2video-renderer-'));
+  return fn(dir).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test('a page that stops before starting emits loaded and done, and resolves null', () => withOutputDir(async (dir) => {
+  const renderer = new Renderer({
+    url: 'https://example.test/intro.html',
+    output: path.join(dir, 'stopped.webm'),
+    enableRecordingControl: true,
+    waitForStartSignal: true,
+    pool: fakePool('stop'),
+    quiet: true
+  });
+  const events = [];
+  ['loaded', 'frame', 'encoded', 'done'].forEach(event => renderer.on(event, payload => events.push([event, payload])));
+
+  assert.strictEqual(await renderer.render(), null);
+  assert.deepStrictEqual(events.map(([event]) => event), ['loaded', 'done']);
+  assert.strictEqual(events[0][1].url, 'https://example.test/intro.html');
+  assert.ok(Array.isArray(events[0][1].readiness));
+  assert.strictEqual(events[1][1], null);
+}));
+
+test('a failed render emits error to listeners and rejects with the same error', async () => {
+  const renderer = new Renderer({ url: 'about:blank', output: 'never.webm', startFrame: 5, endFrame: 1, quiet: true });
+  const errors = [];
+  renderer.on('error', error => errors.push(error));
+  const rejection = await renderer.render().catch(error => error);
+  assert.match(rejection.message, /Invalid frame range 5-1/);
+  assert.deepStrictEqual(errors, [rejection]);
+});
+
+test('without an error listener the render still just rejects', async () => {
+  const renderer = new Renderer({ url: 'about:blank', output: 'never.webm', startFrame: 5, endFrame: 1, quiet: true });
+  let done = false;
+  renderer.on('done', () => {
+    done = true;
+  });
+  await assert.rejects(renderer.render());
+  assert.strictEqual(done, false);
+});
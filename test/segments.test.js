@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitFrameRanges } = require('../lib/segments');
+
+test('splitFrameRanges covers every frame once, in order', () => {
+  const ranges = splitFrameRanges(0, 10, 3);
+  assert.deepStrictEqual(ranges, [
+    { start: 0, end: 4 },
+    { start: 4, end: 7 },
+    { start: 7, end: 10 }
+  ]);
+});
+
+test('splitFrameRanges starts from the first frame of a range', () => {
+  assert.deepStrictEqual(splitFrameRanges(30, 90, 2), [
+    { start: 30, end: 60 },
+    { start: 60, end: 90 }
+  ]);
+});
+
+test('splitFrameRanges gives the extra frames to the first segments', () => {
+  const sizes = splitFrameRanges(0, 11, 4).map(range => range.end - range.start);
+  assert.deepStrictEqual(sizes, [3, 3, 3, 2]);
+});
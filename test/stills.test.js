@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+  parseStillTimes,
+  resolveStillFormat,
+  getStillPath,
+  resolveContactSheet,
+  getContactSheetHtml,
+  getContactSheetWidth
+} = require('../lib/stills');
+
+test('parseStillTimes sorts the times and drops repeats', () => {
+  assert.deepStrictEqual(parseStillTimes('3s, 0,1.5,1500ms'), [0, 1.5, 3]);
+  assert.deepStrictEqual(parseStillTimes([2, '0.5s']), [0.5, 2]);
+});
+
+test('parseStillTimes rejects bad and missing times', () => {
+  assert.throws(() => parseStillTimes('1,soon'), /Invalid still time: soon/);
+  assert.throws(() => parseStillTimes(''), /No still times given/);
+  assert.throws(() => parseStillTimes(undefined), /No still times given/);
+});
+
+test('resolveStillFormat takes the option, then the extension', () => {
+  assert.strictEqual(resolveStillFormat('JPG', 'a.png'), 'jpeg');
+  assert.strictEqual(resolveStillFormat(null, 'a.webp'), 'webp');
+  assert.strictEqual(resolveStillFormat(null, 'a'), 'png');
+  assert.throws(() => resolveStillFormat('gif', 'a.gif'), /Unknown still format: gif/);
+});
+
+test('getStillPath appends the time in milliseconds', () => {
+  assert.strictEqual(getStillPath('out/shot.png', 'png', { index: 0, time: 1.5 }), 'out/shot-001500ms.png');
+  assert.strictEqual(getStillPath('out/shot', 'jpeg', { index: 0, time: 0 }), 'out/shot-000000ms.jpg');
+});
+
+test('getStillPath fills in {index}, {time} and {ms}', () => {
+  const still = { index: 2, time: 1.25 };
+  assert.strictEqual(getStillPath('frame-{index}.png', 'png', still), 'frame-3.png');
+  assert.strictEqual(getStillPath('at-{time}s-{ms}.webp', 'webp', still), 'at-1.25s-1250.webp');
+});
+
+test('resolveContactSheet names the sheet after the stills', () => {
+  assert.strictEqual(resolveContactSheet(null, 'shot.png', 'png'), null);
+  assert.deepStrictEqual(resolveContactSheet(true, 'out/shot-{index}.jpg', 'jpeg'), {
+    columns: 4,
+    width: 320,
+    path: path.resolve('out/shot-contact-sheet.jpg')
+  });
+  const sheet = resolveContactSheet({ columns: '3', width: 200, path: 'sheet.png' }, 'shot.png', 'png');
+  assert.deepStrictEqual(sheet, { columns: 3, width: 200, path: path.resolve('sheet.png') });
+  assert.throws(() => resolveContactSheet({ columns: -2 }, 'shot.png', 'png'), /Invalid contact sheet options/);
+});
+
+test('the contact sheet lays out labelled stills in a grid that fits its viewport', () => {
+  const html = getContactSheetHtml([{ time: 61.5, image: Buffer.from('x') }], { columns: 2, width: 100, format: 'png' });
+  assert.match(html, /grid-template-columns: repeat\(2, 100px\)/);
+  assert.match(html, /src="data:image\/png;base64,eA=="/);
+  assert.match(html, /<figcaption>1:01\.500<\/figcaption>/);
+  assert.strictEqual(getContactSheetWidth(2, 100), 224);
+});
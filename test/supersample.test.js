@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PNG } = require('pngjs');
+const capture = require('..');
+const { createFrameTransport } = require('../lib/frame-transport');
+
+function makePng(width, height) {
+  const png = new PNG({ width, height });
+  png.data.fill(255);
+  return PNG.sync.write(png);
+}
+
+test('raw frames at a device scale keep the clip at the first frame\'s CSS size', async () => {
+  const clips = [];
+  const session = {
+    async send(method, params) {
+      if (method === 'Page.captureScreenshot') {
+        clips.push(params.clip);
+        return { data: makePng(20, 10).toString('base64') };
+      }
+      return {};
+    },
+    async detach() {}
+  };
+  const page = { createCDPSession: async () => session };
+  const transport = await createFrameTransport(page, { method: 'cdp', format: 'raw', scale: 2 });
+
+  const first = await transport.capture({ x: 0, y: 0, width: 10, height: 5 });
+  assert.deepStrictEqual([first.width, first.height], [20, 10]);
+
+  await transport.capture({ x: 3.4, y: 1.6, width: 10.3, height: 4.8 });
+  assert.deepStrictEqual(clips[1], { scale: 1, x: 3, y: 2, width: 10, height: 5 });
+});
+
+test('a supersample factor outside 1 to 4 rejects before any page is loaded', async () => {
+  let acquired = 0;
+  const pool = {
+    acquire: async () => {
+      acquired++;
+      throw new Error('No page should be loaded');
+    }
+  };
+  for (const supersample of [5, 0.5]) {
+    await assert.rejects(capture({
+      url: 'about:blank',
+      output: 'never.mp4',
+      duration: 1,
+      supersample,
+      pool,
+      quiet: true
+    }), new RegExp(`Invalid supersample factor ${supersample}: use 1 to 4`));
+  }
+  assert.strictEqual(acquired, 0);
+});
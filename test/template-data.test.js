@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCSV, loadDataRows, formatOutputName } = require('../lib/template-data');
+
+test('parseCSV keys rows by the header line', () => {
+  assert.deepStrictEqual(parseCSV('name,title\nada,Hello\nbob,Hi\n'), [
+    { name: 'ada', title: 'Hello' },
+    { name: 'bob', title: 'Hi' }
+  ]);
+});
+
+test('parseCSV handles quoted commas, quotes, newlines and CRLF', () => {
+  const rows = parseCSV('id,text\r\n1,"a, b"\r\n2,"say ""hi"""\r\n3,"two\nlines"\r\n');
+  assert.deepStrictEqual(rows.map(row => row.text), ['a, b', 'say "hi"', 'two\nlines']);
+});
+
+test('parseCSV skips blank lines and fills missing fields', () => {
+  assert.deepStrictEqual(parseCSV('a,b\n\n1\n'), [{ a: '1', b: '' }]);
+  assert.deepStrictEqual(parseCSV(''), []);
+});
+
+test('loadDataRows accepts objects, arrays and JSON strings', () => {
+  assert.deepStrictEqual(loadDataRows({ a: 1 }), [{ a: 1 }]);
+  assert.deepStrictEqual(loadDataRows([{ a: 1 }, { a: 2 }]), [{ a: 1 }, { a: 2 }]);
+  assert.deepStrictEqual(loadDataRows(' {"a":1} '), [{ a: 1 }]);
+  assert.deepStrictEqual(loadDataRows(undefined), []);
+});
+
+test('loadDataRows reads JSON and CSV files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html2video-data-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'rows.json'), '[{"name":"ada"}]');
+    fs.writeFileSync(path.join(dir, 'rows.csv'), 'name\nbob\n');
+    assert.deepStrictEqual(loadDataRows(path.join(dir, 'rows.json')), [{ name: 'ada' }]);
+    assert.deepStrictEqual(loadDataRows(path.join(dir, 'rows.csv')), [{ name: 'bob' }]);
+    assert.throws(() => loadDataRows(path.join(dir, 'missing.json')), /Data file not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('formatOutputName fills placeholders and keeps values out of paths', () => {
+  const name = formatOutputName('{index}-{name}-{missing}.webm', { name: 'a/b:c' }, { index: 3 });
+  assert.strictEqual(name, '3-a_b_c-.webm');
+});
+
+test('formatOutputName prefers row values over extras', () => {
+  assert.strictEqual(formatOutputName('{basename}', { basename: 'row' }, { basename: 'file' }), 'row');
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { parseSizes, resolveVariants } = require('../lib/variants');
+
+test('parseSizes reads plain and named sizes', () => {
+  assert.deepStrictEqual(parseSizes('1920x1080, story=1080x1920'), [
+    { width: 1920, height: 1080 },
+    { name: 'story', width: 1080, height: 1920 }
+  ]);
+  assert.throws(() => parseSizes('1920by1080'), /Invalid size: 1920by1080/);
+});
+
+test('resolveVariants names variants by size and places them next to the output', () => {
+  const variants = resolveVariants('1080x1080,wide=1920x1080', 'out/promo.mp4');
+  assert.deepStrictEqual(variants, [
+    { name: '1080x1080', width: 1080, height: 1080, aspectRatio: 1, output: path.resolve('out/promo.1080x1080.mp4') },
+    { name: 'wide', width: 1920, height: 1080, aspectRatio: 1920 / 1080, output: path.resolve('out/promo.wide.mp4') }
+  ]);
+});
+
+test('resolveVariants accepts size strings and objects with their own output', () => {
+  const variants = resolveVariants(['720x1280', { name: 'feed', width: '1080', height: 1350, output: 'feed.mp4' }], 'v.mp4');
+  assert.deepStrictEqual(variants.map(variant => variant.name), ['720x1280', 'feed']);
+  assert.strictEqual(variants[1].width, 1080);
+  assert.strictEqual(variants[1].output, path.resolve('feed.mp4'));
+});
+
+test('resolveVariants rejects bad sizes, names and repeats', () => {
+  assert.throws(() => resolveVariants([{ width: 0, height: 100 }], 'v.mp4'), /Invalid variant size/);
+  assert.throws(() => resolveVariants([{ name: 'a b', width: 10, height: 10 }], 'v.mp4'), /Invalid variant name/);
+  assert.throws(() => resolveVariants('100x100,100x100', 'v.mp4'), /Duplicate variant: 100x100/);
+});
+
+test('resolveVariants returns null without variants', () => {
+  assert.strictEqual(resolveVariants(undefined, 'v.mp4'), null);
+  assert.strictEqual(resolveVariants('', 'v.mp4'), null);
+  assert.strictEqual(resolveVariants([], 'v.mp4'), null);
+});
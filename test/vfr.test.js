@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVfrFrames, getVfrInputArgs } = require('../lib/vfr');
+
+function withFrames(fps, fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'html2video-vfr-'));
+  const frames = createVfrFrames(path.join(root, 'frames'), fps, 'png');
+  try {
+    return fn(frames);
+  } finally {
+    frames.remove();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+const frame = text => ({ image: Buffer.from(text) });
+
+function readList(listPath) {
+  return fs.readFileSync(listPath, 'utf8').trim().split('\n')
+    .map(line => line.replace(/'[^']*\/(frame-\d+\.png)'/, '$1'));
+}
+
+test('each changed frame lasts until the next change', () => withFrames(10, frames => {
+  frames.add(frame('a'), 0);
+  frames.add(frame('b'), 3);
+  frames.add(frame('c'), 4);
+  assert.strictEqual(frames.count, 3);
+
+  assert.deepStrictEqual(readList(frames.writeList(5)), [
+    'ffconcat version 1.0',
+    'file frame-000000.png',
+    'duration 0.300000',
+    'file frame-000003.png',
+    'duration 0.100000',
+    'file frame-000004.png'
+  ]);
+}));
+
+test('a held last frame is listed again so its duration is kept', () => withFrames(25, frames => {
+  frames.add(frame('a'), 0);
+  frames.add(frame('b'), 2);
+
+  assert.deepStrictEqual(readList(frames.writeList(10)), [
+    'ffconcat version 1.0',
+    'file frame-000000.png',
+    'duration 0.080000',
+    'file frame-000002.png',
+    'duration 0.280000',
+    'file frame-000002.png'
+  ]);
+}));
+
+test('frames are written as captured and removed afterwards', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'html2video-vfr-'));
+  const dir = path.join(root, 'frames');
+  try {
+    const frames = createVfrFrames(dir, 30, 'jpeg');
+    frames.add(frame('jpeg bytes'), 7);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'frame-000007.jpg'), 'utf8'), 'jpeg bytes');
+    frames.remove();
+    assert.strictEqual(fs.existsSync(dir), false);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('getVfrInputArgs reads the list with the concat demuxer', () => {
+  assert.deepStrictEqual(getVfrInputArgs('list.txt'), ['-f', 'concat', '-safe', '0', '-i', 'list.txt']);
+});
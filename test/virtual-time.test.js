@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { resolveClockStart, seedRandomness } = require('../lib/virtual-time');
+
+test('resolveClockStart accepts dates, ISO strings and epoch milliseconds', () => {
+  const epoch = Date.UTC(2024, 0, 1);
+  assert.strictEqual(resolveClockStart('2024-01-01T00:00:00Z'), epoch);
+  assert.strictEqual(resolveClockStart(String(epoch)), epoch);
+  assert.strictEqual(resolveClockStart(epoch), epoch);
+  assert.strictEqual(resolveClockStart(new Date(epoch)), epoch);
+  assert.strictEqual(resolveClockStart(''), null);
+  assert.strictEqual(resolveClockStart(undefined), null);
+  assert.throws(() => resolveClockStart('next tuesday'), /Invalid clock start/);
+});
+
+// Run the page script in a fresh global with a stand-in for the Web Crypto API
+function seededPage(seed) {
+  const context = vm.createContext({});
+  vm.runInContext(`
+    var window = this;
+    function Crypto() {}
+    Crypto.prototype.getRandomValues = function() { throw new Error('not seeded'); };
+    Crypto.prototype.randomUUID = function() { throw new Error('not seeded'); };
+    window.Crypto = Crypto;
+    window.crypto = new Crypto();
+    (${seedRandomness})(${JSON.stringify(seed)});
+  `, context);
+  return {
+    random: count => Array.from(vm.runInContext(`Array.from({ length: ${count} }, () => Math.random())`, context)),
+    bytes: () => Array.from(vm.runInContext('crypto.getRandomValues(new Uint8Array(8))', context)),
+    uuid: () => vm.runInContext('crypto.randomUUID()', context),
+    run: code => vm.runInContext(code, context)
+  };
+}
+
+test('seedRandomness repeats Math.random for the same seed', () => {
+  const first = seededPage('demo').random(5);
+  assert.deepStrictEqual(seededPage('demo').random(5), first);
+  assert.notDeepStrictEqual(seededPage('other').random(5), first);
+  first.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('seedRandomness keeps crypto on its own stream', () => {
+  const page = seededPage(42);
+  const bytes = page.bytes();
+  const again = seededPage(42);
+  again.random(3);
+  assert.deepStrictEqual(again.bytes(), bytes);
+});
+
+test('seedRandomness gives repeatable version 4 UUIDs', () => {
+  const uuid = seededPage(7).uuid();
+  assert.strictEqual(seededPage(7).uuid(), uuid);
+  assert.match(uuid, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+});
+
+test('seeded getRandomValues rejects float arrays like the browser', () => {
+  assert.throws(() => seededPage(1).run('crypto.getRandomValues(new Float32Array(2))'), /invalid type/);
+});